@@ -3,530 +3,4789 @@
  * A flexible MongoDB client implementation with schema builder methods
  */
 
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { inspect, isDeepStrictEqual } = require('util');
 const mongoose = require('mongoose');
 
+const { EJSON, UUID } = mongoose.mongo.BSON;
+
+/**
+ * Legacy connection flags that modern drivers ignore or warn about
+ */
+const DEPRECATED_DRIVER_OPTIONS = ['useNewUrlParser', 'useUnifiedTopology', 'useCreateIndex', 'useFindAndModify'];
+
+/**
+ * Copy driver options without the deprecated legacy flags
+ * @param {Object} options - Driver options
+ * @returns {Object} Options safe to pass to the driver
+ */
+function stripDeprecatedOptions(options = {}) {
+    const driverOptions = { ...options };
+    for (const key of DEPRECATED_DRIVER_OPTIONS) {
+        delete driverOptions[key];
+    }
+    return driverOptions;
+}
+
+/**
+ * MongoBuddy Error class
+ * Base class of the errors thrown by this module. Errors translated from the
+ * driver keep the original error as `cause` and its `code` when it has one.
+ */
+class MongoBuddyError extends Error {
+    /**
+     * Create a new error
+     * @param {string} message - Error message
+     * @param {Object} options - Error options
+     * @param {Error} options.cause - Underlying error
+     */
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'MongoBuddyError';
+    }
+}
+
+/**
+ * Validation Error class
+ * Thrown when data does not match the schema a Repository is bound to,
+ * or when the server rejects a document with a collection validator
+ */
+class ValidationError extends MongoBuddyError {
+    /**
+     * Create a new validation error
+     * @param {string} message - Error message
+     * @param {Array<Object>} errors - Failing paths as { path, message, kind, value }
+     * @param {Object} options - Error options (cause)
+     */
+    constructor(message, errors = [], options) {
+        super(message, options);
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+
+    /**
+     * Convert a Mongoose validation error
+     * @param {mongoose.Error.ValidationError} error - Mongoose validation error
+     * @param {string} collectionName - Collection the data was meant for
+     * @returns {ValidationError} Validation error listing each failing path, with the Mongoose error as `cause`
+     */
+    static fromMongoose(error, collectionName) {
+        const errors = Object.values(error.errors).map(({ path, message, kind, value }) => ({ path, message, kind, value }));
+        const paths = errors.map(({ path }) => path).join(', ');
+        return new ValidationError(`Validation failed for "${collectionName}": ${paths}`, errors, { cause: error });
+    }
+
+    /**
+     * Convert the errInfo of a document rejected by a $jsonSchema collection validator
+     * @param {Object} errInfo - errInfo reported by the server with code 121
+     * @param {string} collectionName - Collection the document was written to
+     * @param {Object} options - Error options (cause)
+     * @returns {ValidationError} Validation error listing each failing path
+     */
+    static fromServer(errInfo, collectionName, options) {
+        const details = errInfo && errInfo.details;
+        const errors = describeSchemaRules(details ? details.schemaRulesNotSatisfied : [], '');
+        const paths = [...new Set(errors.map(({ path }) => path))].join(', ');
+        return new ValidationError(
+            `Document failed validation for "${collectionName}"${paths ? `: ${paths}` : ''}`,
+            errors,
+            options
+        );
+    }
+}
+
+/**
+ * Flatten the unsatisfied $jsonSchema rules reported by the server into { path, message, kind, value } entries
+ * @param {Array<Object>} rules - Unsatisfied rules, as found in errInfo.details
+ * @param {string} path - Path the rules apply to, empty for the document itself
+ * @returns {Array<Object>} Failing paths
+ */
+function describeSchemaRules(rules = [], path) {
+    const join = name => (path ? `${path}.${name}` : String(name));
+    const errors = [];
+    for (const rule of rules) {
+        if (rule.operatorName === 'properties') {
+            for (const { propertyName, details } of rule.propertiesNotSatisfied || []) {
+                errors.push(...describeSchemaRules(details, join(propertyName)));
+            }
+        } else if (rule.operatorName === 'required') {
+            for (const name of rule.missingProperties || []) {
+                errors.push({ path: join(name), message: 'is required', kind: 'required', value: undefined });
+            }
+        } else if (Array.isArray(rule.details)) {
+            const itemPath = rule.itemIndex !== undefined ? join(rule.itemIndex) : path;
+            errors.push(...describeSchemaRules(rule.details, itemPath));
+        } else {
+            errors.push({
+                path,
+                message: rule.reason || `failed ${rule.operatorName}`,
+                kind: rule.operatorName,
+                value: rule.consideredValue
+            });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Concurrency Error class
+ * Thrown when a document changed since the version the caller expected
+ */
+class ConcurrencyError extends MongoBuddyError {
+    /**
+     * Create a new concurrency error
+     * @param {string} collectionName - Collection of the document
+     * @param {*} id - Document ID
+     * @param {number} expectedVersion - Version the caller expected
+     * @param {number} actualVersion - Version currently stored
+     */
+    constructor(collectionName, id, expectedVersion, actualVersion) {
+        super(
+            `Document ${id} in "${collectionName}" is at version ${actualVersion}, expected version ${expectedVersion}`
+        );
+        this.name = 'ConcurrencyError';
+        this.collectionName = collectionName;
+        this.id = id;
+        this.expectedVersion = expectedVersion;
+        this.actualVersion = actualVersion;
+    }
+}
+
+/**
+ * Invalid Id Error class
+ * Thrown when a value cannot be used as a document ID by a Repository's id strategy
+ */
+class InvalidIdError extends MongoBuddyError {
+    /**
+     * Create a new invalid id error
+     * @param {*} value - Rejected value
+     * @param {string} idType - Name of the id strategy
+     * @param {string} reason - Why the value was rejected
+     */
+    constructor(value, idType, reason) {
+        super(`Invalid ${idType} id ${inspect(value)}${reason ? `: ${reason}` : ''}`);
+        this.name = 'InvalidIdError';
+        this.value = value;
+        this.idType = idType;
+    }
+}
+
+/**
+ * Duplicate Key Error class
+ * Thrown when a write violates a unique index
+ */
+class DuplicateKeyError extends MongoBuddyError {
+    /**
+     * Create a new duplicate key error
+     * @param {string} collectionName - Collection written to
+     * @param {Object} details - Details reported by the server
+     * @param {string} details.index - Name of the violated index
+     * @param {Object} details.keyPattern - Fields of the violated index, e.g. { email: 1 }
+     * @param {Object} details.keyValue - Offending key and value, e.g. { email: 'ada@example.com' }
+     * @param {Object} options - Error options (cause)
+     */
+    constructor(collectionName, { index, keyPattern, keyValue } = {}, options) {
+        const key = keyValue ? inspect(keyValue, { breakLength: Infinity }) : 'unknown key';
+        super(`Duplicate key in "${collectionName}"${index ? ` for index ${index}` : ''}: ${key}`, options);
+        this.name = 'DuplicateKeyError';
+        this.collectionName = collectionName;
+        this.index = index;
+        this.keyPattern = keyPattern;
+        this.keyValue = keyValue;
+    }
+}
+
+/**
+ * Not Found Error class
+ * Thrown by the *OrFail lookups when no document matches
+ */
+class NotFoundError extends MongoBuddyError {
+    /**
+     * Create a new not found error
+     * @param {string} collectionName - Collection searched
+     * @param {Object} criteria - Criteria that matched nothing
+     */
+    constructor(collectionName, criteria) {
+        super(`No document in "${collectionName}" matches ${inspect(criteria, { breakLength: Infinity })}`);
+        this.name = 'NotFoundError';
+        this.collectionName = collectionName;
+        this.criteria = criteria;
+    }
+}
+
+/**
+ * Connection Error class
+ * Thrown when MongoDB cannot be reached or the connection is lost
+ */
+class ConnectionError extends MongoBuddyError {
+    /**
+     * Create a new connection error
+     * @param {string} message - Error message
+     * @param {Object} options - Error options (cause)
+     */
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ConnectionError';
+    }
+}
+
+/**
+ * Timeout Error class
+ * Thrown when an operation exceeds maxTimeMS, timeoutMS or a socket timeout
+ */
+class TimeoutError extends MongoBuddyError {
+    /**
+     * Create a new timeout error
+     * @param {string} message - Error message
+     * @param {Object} options - Error options (cause)
+     */
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * Write Conflict Error class
+ * Thrown when the server aborts a write because a concurrent operation modified the same document
+ */
+class WriteConflictError extends MongoBuddyError {
+    /**
+     * Create a new write conflict error
+     * @param {string} message - Error message
+     * @param {Object} options - Error options (cause)
+     */
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'WriteConflictError';
+    }
+}
+
+/**
+ * Run a read-modify-write function again when it fails with a ConcurrencyError
+ * @param {Function} fn - Function to run, receives the attempt number (starting at 1)
+ * @param {number} attempts - Maximum number of attempts
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function retryOnConflict(fn, attempts = 3) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (!(error instanceof ConcurrencyError) || attempt >= attempts) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Read a variable from the environment, supporting Docker-style `<NAME>_FILE` secrets
+ * @param {Object} env - Environment variables
+ * @param {string} name - Variable name
+ * @returns {string|undefined} Variable value, or undefined when unset or empty
+ */
+function readEnvValue(env, name) {
+    const filePath = env[`${name}_FILE`];
+    if (filePath) {
+        if (env[name]) {
+            throw new Error(`Both ${name} and ${name}_FILE are set; use only one of them`);
+        }
+        try {
+            return fs.readFileSync(filePath, 'utf8').trim();
+        } catch (error) {
+            throw new Error(`Unable to read ${name}_FILE "${filePath}": ${error.message}`);
+        }
+    }
+    return env[name] || undefined;
+}
+
+/**
+ * Parse the driver options given as a JSON string
+ * @param {string|Object} value - JSON string or object
+ * @param {string} source - Where the value came from, for error messages
+ * @returns {Object} Driver options
+ */
+function parseDriverOptions(value, source) {
+    if (value === undefined || value === null) {
+        return {};
+    }
+    let options = value;
+    if (typeof value === 'string') {
+        try {
+            options = JSON.parse(value);
+        } catch (error) {
+            throw new Error(`Invalid JSON in ${source}: ${error.message}`);
+        }
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error(`${source} must be a JSON object of driver options`);
+    }
+    return options;
+}
+
+/**
+ * Validate a port number
+ * @param {number|string} port - Port to validate
+ * @param {string} context - Description used in error messages
+ * @returns {number} Port as a number
+ */
+function parsePort(port, context) {
+    const portNumber = Number(port);
+    if (port === '' || !Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+        throw new Error(`Invalid MongoDB port "${port}" ${context}: expected an integer between 1 and 65535`);
+    }
+    return portNumber;
+}
+
+/**
+ * Validate a host name, IPv4 address or bracketed IPv6 address
+ * @param {string} host - Host to validate
+ * @param {string} context - Description used in error messages
+ * @returns {string} The host
+ */
+function validateHost(host, context) {
+    const isHostname = typeof host === 'string' && /^[A-Za-z0-9_]([A-Za-z0-9_.-]*[A-Za-z0-9_])?$/.test(host);
+    const isIPv6 = typeof host === 'string' && /^\[[0-9A-Fa-f:.]+\]$/.test(host);
+    if (!isHostname && !isIPv6) {
+        throw new Error(`Invalid MongoDB host "${host}" ${context}: expected a host name or IP address`);
+    }
+    return host;
+}
+
+/**
+ * Parse a host entry into { host, port }
+ * @param {string|Object} entry - "host", "host:port", "[ipv6]:port" or { host, port }
+ * @param {number} defaultPort - Port used when the entry has none
+ * @returns {Object} Validated host and port (port may be undefined)
+ */
+function parseHost(entry, defaultPort) {
+    if (entry && typeof entry === 'object') {
+        const host = validateHost(entry.host, 'in host list');
+        const port = entry.port ?? defaultPort;
+        return { host, port: port === undefined ? undefined : parsePort(port, `for host "${host}"`) };
+    }
+
+    const match = /^(\[[^\]]*\]|[^:]*)(?::(.*))?$/.exec(String(entry).trim());
+    const host = validateHost(match[1], 'in host list');
+    const port = match[2] !== undefined ? match[2] : defaultPort;
+    return { host, port: port === undefined ? undefined : parsePort(port, `for host "${host}"`) };
+}
+
+/**
+ * Percent-encode connection string options into a query string
+ * @param {Object} options - Connection string options
+ * @returns {string} Query string including the leading "?", or an empty string
+ */
+function formatUriOptions(options = {}) {
+    const pairs = [];
+    for (const [key, value] of Object.entries(options)) {
+        if (value === undefined || value === null) {
+            continue;
+        }
+        for (const item of Array.isArray(value) ? value : [value]) {
+            pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(String(item))}`);
+        }
+    }
+    return pairs.length ? `?${pairs.join('&')}` : '';
+}
+
+/**
+ * Parse a connection string query into options
+ * @param {string} query - Query string without the leading "?"
+ * @returns {Object} Connection string options
+ */
+function parseUriOptions(query) {
+    const options = {};
+    for (const pair of query.split('&').filter(Boolean)) {
+        const [rawKey, ...rawValue] = pair.split('=');
+        const key = decodeURIComponent(rawKey);
+        let value = decodeURIComponent(rawValue.join('='));
+        if (value === 'true' || value === 'false') {
+            value = value === 'true';
+        }
+        if (key in options) {
+            options[key] = [].concat(options[key], value);
+        } else {
+            options[key] = value;
+        }
+    }
+    return options;
+}
+
+/**
+ * Format the credentials part of a connection string
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {string} Encoded "user:password@" prefix, or an empty string
+ */
+function formatCredentials(username, password) {
+    if (!username) {
+        return '';
+    }
+    const encodedPassword = password ? `:${encodeURIComponent(password)}` : '';
+    return `${encodeURIComponent(username)}${encodedPassword}@`;
+}
+
+/**
+ * Connection string options that have a dedicated setting on MongoConfiguration
+ */
+const URI_OPTION_KEYS = ['replicaSet', 'authSource', 'authMechanism', 'tls', 'readPreference', 'w'];
+
 /**
  * MongoDB Configuration class
  * Handles connection settings and string generation
  */
 class MongoConfiguration {
     /**
-     * Create a new MongoDB configuration
-     * @param {string} dbName - Database name
-     * @param {Object} connectionOptions - Mongoose connection options
+     * Create a new MongoDB configuration
+     * @param {string} dbName - Database name
+     * @param {Object} connectionOptions - Mongoose connection options
+     */
+    constructor(dbName = 'default', connectionOptions = {}) {
+        this.dbName = dbName;
+        this.connectionOptions = { ...connectionOptions };
+        this.uri = null;
+        this.srv = false;
+        this.hosts = [{ host: 'localhost', port: 27017 }];
+        this.username = '';
+        this.password = '';
+        this.uriOptions = {};
+    }
+
+    /**
+     * Create a configuration from environment variables.
+     * Reads `<prefix>_URI`, `_HOST`, `_PORT`, `_USER`, `_PASSWORD`, `_DB`, `_REPLICA_SET`,
+     * `_AUTH_SOURCE`, `_AUTH_MECHANISM`, `_TLS`, `_READ_PREFERENCE`, `_W`, `_CLUSTER` and
+     * `_OPTIONS` (JSON driver options). Any of them can instead be read from a file named
+     * by `<variable>_FILE`. `<prefix>_URI` overrides the individual connection settings.
+     * @param {string} prefix - Variable name prefix
+     * @param {Object} env - Environment variables (defaults to process.env)
+     * @returns {MongoConfiguration} Configuration
+     */
+    static fromEnv(prefix = 'MONGO', env = process.env) {
+        const read = name => readEnvValue(env, `${prefix}_${name}`);
+        return MongoConfiguration.fromObject({
+            uri: read('URI'),
+            host: read('HOST'),
+            port: read('PORT'),
+            username: read('USER') || read('USERNAME'),
+            password: read('PASSWORD'),
+            dbName: read('DB') || read('DB_NAME'),
+            replicaSet: read('REPLICA_SET'),
+            authSource: read('AUTH_SOURCE'),
+            authMechanism: read('AUTH_MECHANISM'),
+            tls: read('TLS'),
+            readPreference: read('READ_PREFERENCE'),
+            w: read('W'),
+            cluster: read('CLUSTER'),
+            options: parseDriverOptions(read('OPTIONS'), `${prefix}_OPTIONS`)
+        }, `environment variables ${prefix}_*`);
+    }
+
+    /**
+     * Create a configuration from a JSON file with the same keys as fromObject()
+     * @param {string} filePath - Path to the JSON file
+     * @returns {MongoConfiguration} Configuration
+     */
+    static fromFile(filePath) {
+        let content;
+        try {
+            content = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Unable to read MongoDB configuration file "${filePath}": ${error.message}`);
+        }
+
+        let settings;
+        try {
+            settings = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid JSON in MongoDB configuration file "${filePath}": ${error.message}`);
+        }
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error(`MongoDB configuration file "${filePath}" must contain a JSON object`);
+        }
+        return MongoConfiguration.fromObject(settings, `configuration file "${filePath}"`);
+    }
+
+    /**
+     * Create a configuration from plain settings
+     * @param {Object} settings - Settings (uri, host, port, username, password, dbName, cluster,
+     *                            replicaSet, authSource, authMechanism, tls, readPreference, w, options).
+     *                            `host` may list several comma-separated hosts.
+     * @param {string} source - Where the settings came from, for error messages
+     * @returns {MongoConfiguration} Validated configuration
+     */
+    static fromObject(settings, source = 'configuration') {
+        const { uri, host, port, username, password, dbName, cluster, options } = settings;
+        const config = new MongoConfiguration(dbName || 'default', parseDriverOptions(options, `${source} options`));
+
+        if (uri) {
+            if (!/^mongodb(\+srv)?:\/\//.test(uri)) {
+                throw new Error(`Invalid MongoDB URI in ${source}: expected it to start with mongodb:// or mongodb+srv://`);
+            }
+            return config.withUri(uri);
+        }
+
+        if ((username && !password) || (!username && password)) {
+            throw new Error(`MongoDB username and password must be provided together in ${source}`);
+        }
+        if (cluster && !username) {
+            throw new Error(`MongoDB Atlas cluster "${cluster}" requires a username and password in ${source}`);
+        }
+
+        const defaultPort = port === undefined || port === null ? 27017 : parsePort(port, `in ${source}`);
+        if (cluster) {
+            config.withSrvHost(cluster);
+        } else {
+            config.withHosts(host || 'localhost', defaultPort);
+        }
+        if (username) {
+            config.withCredentials(username, password);
+        }
+
+        const uriOptions = {};
+        for (const key of URI_OPTION_KEYS) {
+            if (settings[key] !== undefined && settings[key] !== null && settings[key] !== '') {
+                uriOptions[key] = settings[key];
+            }
+        }
+        if (typeof uriOptions.tls === 'string') {
+            uriOptions.tls = uriOptions.tls === 'true';
+        }
+        return config.withUriOptions(uriOptions);
+    }
+
+    /**
+     * Parse a connection string into a configuration
+     * @param {string} uri - mongodb:// or mongodb+srv:// connection string
+     * @returns {MongoConfiguration} Configuration that produces an equivalent connection string
+     */
+    static fromUri(uri) {
+        const match = /^(mongodb(?:\+srv)?):\/\/([^/?]*)(?:\/([^?]*))?(?:\?(.*))?$/.exec(uri || '');
+        if (!match) {
+            throw new Error(`Invalid MongoDB URI "${uri}": expected mongodb://[user:password@]host[:port][,...]/[db][?options]`);
+        }
+        const [, scheme, authority, path = '', query = ''] = match;
+
+        const config = new MongoConfiguration(decodeURIComponent(path));
+        const separator = authority.lastIndexOf('@');
+        if (separator !== -1) {
+            const [username, ...password] = authority.slice(0, separator).split(':');
+            config.withCredentials(decodeURIComponent(username), decodeURIComponent(password.join(':')));
+        }
+
+        const hosts = authority.slice(separator + 1);
+        if (scheme === 'mongodb+srv') {
+            config.withSrvHost(hosts);
+        } else {
+            config.withHosts(hosts);
+        }
+        return config.withUriOptions(parseUriOptions(query));
+    }
+
+    /**
+     * Use an explicit connection string instead of the generated one
+     * @param {string} uri - MongoDB connection string
+     * @returns {MongoConfiguration} This instance for chaining
+     */
+    withUri(uri) {
+        this.uri = uri;
+        return this;
+    }
+
+    /**
+     * Set the hosts to connect to (several hosts for a replica set)
+     * @param {string|Array<string|Object>} hosts - "host:port" entries, comma-separated or as an array of strings or { host, port }
+     * @param {number} defaultPort - Port used for entries without one
+     * @returns {MongoConfiguration} This instance for chaining
+     */
+    withHosts(hosts, defaultPort) {
+        const entries = Array.isArray(hosts) ? hosts : String(hosts).split(',');
+        if (!entries.length) {
+            throw new Error('MongoDB configuration needs at least one host');
+        }
+        this.srv = false;
+        this.hosts = entries.map(entry => parseHost(entry, defaultPort));
+        return this;
+    }
+
+    /**
+     * Use a DNS seed list (mongodb+srv://), e.g. a MongoDB Atlas cluster address
+     * @param {string} host - SRV host name
+     * @returns {MongoConfiguration} This instance for chaining
+     */
+    withSrvHost(host) {
+        if (String(host).includes(':') || String(host).includes(',')) {
+            throw new Error(`Invalid MongoDB SRV host "${host}": mongodb+srv:// accepts a single host name without a port`);
+        }
+        this.srv = true;
+        this.hosts = [{ host: validateHost(host, 'for mongodb+srv://'), port: undefined }];
+        return this;
+    }
+
+    /**
+     * Set the credentials used to authenticate
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {MongoConfiguration} This instance for chaining
+     */
+    withCredentials(username, password) {
+        this.username = username || '';
+        this.password = password || '';
+        return this;
+    }
+
+    /**
+     * Merge connection string options (replicaSet, authSource, authMechanism, tls, readPreference, w, ...)
+     * @param {Object} options - Connection string options
+     * @returns {MongoConfiguration} This instance for chaining
+     */
+    withUriOptions(options) {
+        this.uriOptions = { ...this.uriOptions, ...options };
+        return this;
+    }
+
+    /**
+     * Build a connection string from the configured hosts, credentials and options.
+     * Credentials and option values are percent-encoded.
+     * @returns {string} MongoDB connection string
+     */
+    toConnectionString() {
+        const scheme = this.srv ? 'mongodb+srv' : 'mongodb';
+        const hosts = this.hosts
+            .map(({ host, port }) => (port === undefined ? host : `${host}:${port}`))
+            .join(',');
+        return `${scheme}://${formatCredentials(this.username, this.password)}${hosts}/${encodeURIComponent(this.dbName)}${formatUriOptions(this.uriOptions)}`;
+    }
+
+    /**
+     * Get the connection string a client should connect to
+     * @returns {string} Explicit connection string, or one built from the configured settings
+     */
+    getUri() {
+        return this.uri || this.toConnectionString();
+    }
+
+    /**
+     * Get the connection options to pass to the driver
+     * @returns {Object} Connection options without deprecated flags
+     */
+    getDriverOptions() {
+        return stripDeprecatedOptions(this.connectionOptions);
+    }
+
+    /**
+     * Generate a MongoDB connection string
+     * @param {string} host - MongoDB host
+     * @param {number} port - MongoDB port
+     * @param {string} username - MongoDB username (optional)
+     * @param {string} password - MongoDB password (optional)
+     * @returns {string} MongoDB connection string
+     */
+    getConnectionString(host = 'localhost', port = 27017, username = '', password = '') {
+        validateHost(host, 'for getConnectionString()');
+        parsePort(port, `for host "${host}"`);
+        if (username && password) {
+            return `mongodb://${formatCredentials(username, password)}${host}:${port}/${this.dbName}`;
+        }
+        return `mongodb://${host}:${port}/${this.dbName}`;
+    }
+
+    /**
+     * Generate a MongoDB Atlas connection string
+     * @param {string} username - MongoDB Atlas username
+     * @param {string} password - MongoDB Atlas password
+     * @param {string} cluster - MongoDB Atlas cluster address
+     * @param {Object} options - Connection string options
+     * @returns {string} MongoDB Atlas connection string
+     */
+    getAtlasConnectionString(username, password, cluster, options = {}) {
+        validateHost(cluster, 'for getAtlasConnectionString()');
+        return `mongodb+srv://${formatCredentials(username, password)}${cluster}/${this.dbName}${formatUriOptions(options)}`;
+    }
+}
+
+/**
+ * Resolve the connection source accepted by the MongoClient constructor
+ * @param {string|MongoConfiguration|Object} source - Connection string, configuration or { uri, options }
+ * @returns {Object} Connection string and driver options
+ */
+function resolveConnectionSource(source) {
+    if (typeof source === 'string') {
+        return { uri: source, driverOptions: {} };
+    }
+    if (source instanceof MongoConfiguration) {
+        return { uri: source.getUri(), driverOptions: source.getDriverOptions() };
+    }
+    if (source && typeof source.uri === 'string') {
+        return { uri: source.uri, driverOptions: stripDeprecatedOptions(source.options) };
+    }
+    throw new TypeError('MongoClient expects a connection string, a MongoConfiguration or a { uri, options } object');
+}
+
+/**
+ * Check whether a driver error carries the given label
+ * @param {Error} error - Error to inspect
+ * @param {string} label - Error label, e.g. TransientTransactionError
+ * @returns {boolean} Whether the label is present
+ */
+function hasErrorLabel(error, label) {
+    if (!error) {
+        return false;
+    }
+    if (typeof error.hasErrorLabel === 'function' && error.hasErrorLabel(label)) {
+        return true;
+    }
+    return error instanceof MongoBuddyError && hasErrorLabel(error.cause, label);
+}
+
+/**
+ * Server error codes translated by translateDriverError()
+ */
+const DRIVER_ERROR_CODES = {
+    duplicateKey: [11000, 11001],
+    documentValidation: 121,
+    maxTimeExpired: 50,
+    writeConflict: 112
+};
+
+/**
+ * Translate a driver error into the matching MongoBuddyError subclass.
+ * Errors that are already translated, or that have no counterpart, are returned unchanged.
+ * @param {Error} error - Error thrown by the driver
+ * @param {string} operation - Operation name
+ * @param {string} collectionName - Collection name, omitted for session operations such as commitTransaction
+ * @returns {Error} Translated error, with the driver error as `cause`
+ */
+function translateDriverError(error, operation, collectionName) {
+    if (!(error instanceof mongoose.mongo.MongoError)) {
+        return error;
+    }
+
+    const { mongo } = mongoose;
+    const options = { cause: error };
+    // Bulk write errors report the first failing write; its details live on the write error itself
+    const writeError = error instanceof mongo.MongoBulkWriteError && error.writeErrors.length
+        ? error.writeErrors[0].err
+        : error;
+    const code = writeError.code !== undefined ? writeError.code : error.code;
+    const target = collectionName ? `${operation} on "${collectionName}"` : operation;
+
+    let translated;
+    if (DRIVER_ERROR_CODES.duplicateKey.includes(code)) {
+        const match = /index: (\S+) dup key/.exec(writeError.errmsg || error.message);
+        translated = new DuplicateKeyError(collectionName, {
+            index: match ? match[1] : undefined,
+            keyPattern: writeError.keyPattern,
+            keyValue: writeError.keyValue
+        }, options);
+    } else if (code === DRIVER_ERROR_CODES.documentValidation) {
+        translated = ValidationError.fromServer(writeError.errInfo, collectionName, options);
+    } else if (code === DRIVER_ERROR_CODES.writeConflict) {
+        translated = new WriteConflictError(`Write conflict during ${target}`, options);
+    } else if (
+        code === DRIVER_ERROR_CODES.maxTimeExpired ||
+        error instanceof mongo.MongoNetworkTimeoutError ||
+        error instanceof mongo.MongoOperationTimeoutError
+    ) {
+        translated = new TimeoutError(`${target} timed out: ${error.message}`, options);
+    } else if (
+        error instanceof mongo.MongoNetworkError ||
+        error instanceof mongo.MongoServerSelectionError ||
+        error instanceof mongo.MongoNotConnectedError ||
+        error instanceof mongo.MongoTopologyClosedError
+    ) {
+        translated = new ConnectionError(`Lost connection to MongoDB during ${target}: ${error.message}`, options);
+    } else {
+        return error;
+    }
+
+    if (code !== undefined) {
+        translated.code = code;
+    }
+    return translated;
+}
+
+/**
+ * Check whether an update is made of update operators ({ $inc: ... }) rather than plain fields
+ * @param {Object} update - Update document
+ * @returns {boolean} Whether every key is an operator
+ */
+function isOperatorUpdate(update) {
+    const keys = Object.keys(update || {});
+    const operators = keys.filter(key => key.startsWith('$'));
+    if (operators.length && operators.length !== keys.length) {
+        throw new TypeError('An update cannot mix update operators and plain fields');
+    }
+    return keys.length > 0 && operators.length === keys.length;
+}
+
+/**
+ * Commit a transaction, retrying while the commit result is unknown
+ * @param {ClientSession} session - Session with an active transaction
+ * @param {number} maxAttempts - Maximum number of commit attempts
+ * @returns {Promise<void>}
+ */
+async function commitWithRetry(session, maxAttempts) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await session.commitTransaction();
+            return;
+        } catch (error) {
+            if (attempt >= maxAttempts || !hasErrorLabel(error, 'UnknownTransactionCommitResult')) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Default retry settings used by MongoClient.connect()
+ */
+const DEFAULT_RECONNECT_OPTIONS = {
+    maxAttempts: 3,
+    initialDelayMS: 1000,
+    maxDelayMS: 30000,
+    factor: 2,
+    jitter: 0.2
+};
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a logger method that forwards to the console
+ * @param {string} method - Console method name
+ * @returns {Function} Logger method accepting (message, context)
+ */
+function consoleMethod(method) {
+    return (message, context) => (context === undefined
+        ? console[method](message)
+        : console[method](message, context));
+}
+
+/**
+ * Logger writing to the console
+ */
+const consoleLogger = {
+    debug: consoleMethod('debug'),
+    info: consoleMethod('info'),
+    warn: consoleMethod('warn'),
+    error: consoleMethod('error')
+};
+
+/**
+ * Logger discarding every message
+ */
+const silentLogger = {
+    debug() {},
+    info() {},
+    warn() {},
+    error() {}
+};
+
+/**
+ * Fill in missing levels of a user supplied logger
+ * @param {Object} logger - Logger with debug/info/warn/error methods
+ * @returns {Object} Logger exposing all four levels
+ */
+function normalizeLogger(logger) {
+    const normalized = {};
+    for (const level of Object.keys(silentLogger)) {
+        normalized[level] = typeof logger[level] === 'function'
+            ? logger[level].bind(logger)
+            : silentLogger[level];
+    }
+    return normalized;
+}
+
+/**
+ * Describe the shape of a filter or pipeline without its values,
+ * so it can be logged without leaking data
+ * @param {*} value - Value to describe
+ * @returns {*} Same structure with values replaced by their type names
+ */
+function describeShape(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return value.map(describeShape);
+    }
+    if (value instanceof Date) {
+        return 'Date';
+    }
+    if (value instanceof RegExp) {
+        return 'RegExp';
+    }
+    if (typeof value === 'object') {
+        if (value._bsontype) {
+            return value._bsontype;
+        }
+        return Object.fromEntries(
+            Object.entries(value).map(([key, nested]) => [key, describeShape(nested)])
+        );
+    }
+    return typeof value;
+}
+
+/**
+ * Batch size used by streaming reads when none is given
+ */
+const DEFAULT_STREAM_BATCH_SIZE = 1000;
+
+/**
+ * Number of operations sent per bulkWrite command when no batch size is given
+ */
+const DEFAULT_BULK_BATCH_SIZE = 1000;
+
+/**
+ * Create an empty merged bulk write result
+ * @returns {Object} Bulk write result with zero counts
+ */
+function emptyBulkResult() {
+    return {
+        ok: true,
+        insertedCount: 0,
+        matchedCount: 0,
+        modifiedCount: 0,
+        deletedCount: 0,
+        upsertedCount: 0,
+        insertedIds: {},
+        upsertedIds: {},
+        errors: {}
+    };
+}
+
+/**
+ * Add the result of one bulkWrite batch to a merged result
+ * @param {Object} target - Merged result
+ * @param {Object} batchResult - Driver BulkWriteResult of the batch
+ * @param {Function} toIndex - Maps an index within the batch to the caller's index
+ */
+function mergeBulkResult(target, batchResult, toIndex) {
+    for (const count of ['insertedCount', 'matchedCount', 'modifiedCount', 'deletedCount', 'upsertedCount']) {
+        target[count] += batchResult[count] || 0;
+    }
+    for (const ids of ['insertedIds', 'upsertedIds']) {
+        for (const [index, id] of Object.entries(batchResult[ids] || {})) {
+            target[ids][toIndex(Number(index))] = id;
+        }
+    }
+}
+
+/**
+ * MongoDB Client class
+ * Handles database connections and operations.
+ * Each client owns its own Mongoose connection and model registry, so several
+ * clients can point at different databases within the same process.
+ *
+ * Emits the following events:
+ * - `connected` when the driver (re)establishes the connection
+ * - `disconnected` when the driver loses the connection or it is closed
+ * - `reconnecting` before each retry of a failed connect() attempt ({ attempt, maxAttempts, delay, error }),
+ *   and when an established connection drops ({ automatic: true }) and the driver starts reconnecting on its own
+ * - `reconnected` when the driver restores a connection that dropped after connect()
+ * - `reconnectFailed` when all connect() attempts failed ({ attempts, error }). After a drop the driver keeps
+ *   trying indefinitely, so operations fail with a ConnectionError instead until it is back.
+ * - `error` for connection errors (only when an `error` listener is registered)
+ */
+class MongoClient extends EventEmitter {
+    /**
+     * Create a new MongoDB client
+     * @param {string|MongoConfiguration|Object} connStr - Connection string, MongoConfiguration, or { uri, options } object
+     * @param {Object} options - Client options
+     * @param {number} options.initialConnectTimeoutMS - Time allowed for each connect() attempt to find a server
+     *                                                  (sets the driver's serverSelectionTimeoutMS for those attempts)
+     * @param {Object} options.reconnect - Retry settings for connect()
+     * @param {number} options.reconnect.maxAttempts - Maximum number of connection attempts
+     * @param {number} options.reconnect.initialDelayMS - Delay before the first retry
+     * @param {number} options.reconnect.maxDelayMS - Upper bound for the delay between retries
+     * @param {number} options.reconnect.factor - Exponential backoff multiplier
+     * @param {number} options.reconnect.jitter - Fraction (0-1) of each delay that is randomized
+     * @param {Object} options.logger - Logger with debug/info/warn/error(message, context) methods (defaults to the console)
+     * @param {boolean} options.logQueries - Log every operation with its collection, filter shape and duration at debug level
+     */
+    constructor(connStr, options = {}) {
+        super();
+        const { uri, driverOptions } = resolveConnectionSource(connStr);
+        this.connStr = uri;
+        this.driverOptions = driverOptions;
+        this.initialConnectTimeoutMS = options.initialConnectTimeoutMS;
+        this.reconnectOptions = { ...DEFAULT_RECONNECT_OPTIONS, ...options.reconnect };
+        this.logger = normalizeLogger(options.logger || consoleLogger);
+        this.logQueries = Boolean(options.logQueries);
+        this.connection = mongoose.createConnection();
+        this.models = new Map();
+        this._opened = false;
+        this._connecting = null;
+        this._lastConnectError = null;
+
+        this.connection.on('connected', () => this.emit('connected'));
+        // Failed attempts inside connect() are reported by the retry loop itself
+        this.connection.on('disconnected', () => {
+            if (!this._connecting) {
+                this.emit('disconnected');
+                // Mongoose flags connections closed on purpose; anything else is a drop the driver recovers from
+                if (this._opened && !this.connection._closeCalled) {
+                    this.logger.warn('Lost connection to MongoDB, reconnecting', this._logContext());
+                    this.emit('reconnecting', { automatic: true });
+                }
+            }
+        });
+        this.connection.on('reconnected', () => {
+            this.logger.info('Reconnected to MongoDB', this._logContext());
+            this.emit('reconnected');
+        });
+        this.connection.on('error', error => {
+            if (!this._connecting) {
+                this.logger.error('MongoDB connection error', this._logContext({ error }));
+                this._emitError(error);
+            }
+        });
+    }
+
+    /**
+     * Whether the driver currently holds a live connection
+     * @returns {boolean} Connection state
+     */
+    get isConnected() {
+        return this.connection.readyState === mongoose.ConnectionStates.connected;
+    }
+
+    /**
+     * Connect to MongoDB, retrying with exponential backoff on failure.
+     * Concurrent calls share the same connection attempt.
+     * @returns {Promise<boolean>} Connection success
+     */
+    async connect() {
+        if (this.isConnected) {
+            return true;
+        }
+        if (!this._connecting) {
+            this._connecting = this._connectWithRetry().finally(() => {
+                this._connecting = null;
+            });
+        }
+        return await this._connecting;
+    }
+
+    /**
+     * Run connection attempts until one succeeds or maxAttempts is reached
+     * @returns {Promise<boolean>} Connection success
+     */
+    async _connectWithRetry() {
+        const { maxAttempts } = this.reconnectOptions;
+        const driverOptions = { ...this.driverOptions };
+        if (this.initialConnectTimeoutMS !== undefined) {
+            driverOptions.serverSelectionTimeoutMS = this.initialConnectTimeoutMS;
+        }
+
+        let lastError;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                await this.connection.openUri(this.connStr, driverOptions);
+                this._opened = true;
+                this._lastConnectError = null;
+                this.logger.info('Connected to MongoDB', this._logContext());
+                return true;
+            } catch (error) {
+                lastError = error;
+                this._emitError(error);
+                if (attempt < maxAttempts) {
+                    const delay = this.getRetryDelay(attempt);
+                    this.logger.warn('MongoDB connection attempt failed, retrying', this._logContext({
+                        attempt,
+                        maxAttempts,
+                        delay,
+                        error
+                    }));
+                    this.emit('reconnecting', { attempt: attempt + 1, maxAttempts, delay, error });
+                    await sleep(delay);
+                }
+            }
+        }
+
+        this._lastConnectError = lastError;
+        this.logger.error('MongoDB connection error', this._logContext({ attempts: maxAttempts, error: lastError }));
+        this.emit('reconnectFailed', { attempts: maxAttempts, error: lastError });
+        return false;
+    }
+
+    /**
+     * Compute the backoff delay after a failed attempt
+     * @param {number} attempt - Number of the attempt that failed (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt) {
+        const { initialDelayMS, maxDelayMS, factor, jitter } = this.reconnectOptions;
+        const delay = Math.min(maxDelayMS, initialDelayMS * Math.pow(factor, attempt - 1));
+        return Math.round(delay - delay * jitter * Math.random());
+    }
+
+    /**
+     * Emit an error event without crashing when nobody listens for it
+     * @param {Error} error - Error to emit
+     */
+    _emitError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Build the structured context attached to connection log messages
+     * @param {Object} extra - Additional context fields
+     * @returns {Object} Log context including the redacted connection string
+     */
+    _logContext(extra = {}) {
+        return { connectionString: this.getConnectionStatus().connectionString, ...extra };
+    }
+
+    /**
+     * Disconnect from MongoDB.
+     * A connection attempt that is still in progress is awaited first, so it cannot open afterwards.
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (this._connecting) {
+            await this._connecting;
+        }
+        if (this._opened) {
+            this._opened = false;
+            await this.connection.close();
+            this.logger.info('Disconnected from MongoDB', this._logContext());
+        }
+    }
+
+    /**
+     * Get connection status
+     * @returns {Object} Connection status
+     */
+    getConnectionStatus() {
+        return {
+            isConnected: this.isConnected,
+            readyState: this.connection.readyState,
+            connectionString: this.connStr.replace(/\/\/(.+?)@/, '//***@') // Hide credentials in logs
+        };
+    }
+
+    /**
+     * Get the MongoDB database handle.
+     * Connects on first use; while the driver is reconnecting, operations
+     * are queued by the driver instead of opening a new connection.
+     * @returns {Promise<Db>} MongoDB database
+     */
+    async getDatabase() {
+        if (!this._opened) {
+            const connected = await this.connect();
+            if (!connected) {
+                const cause = this._lastConnectError;
+                throw new ConnectionError(`Unable to connect to MongoDB${cause ? `: ${cause.message}` : ''}`, { cause });
+            }
+        }
+        return this.connection.db;
+    }
+
+    /**
+     * Get a MongoDB collection
+     * @param {string} collectionName - Collection name
+     * @returns {Promise<Collection>} MongoDB collection
+     */
+    async getCollection(collectionName) {
+        const db = await this.getDatabase();
+        return db.collection(collectionName);
+    }
+
+    /**
+     * Start a client session on this client's connection
+     * @param {Object} options - Session options
+     * @returns {Promise<ClientSession>} MongoDB session
+     */
+    async startSession(options = {}) {
+        await this.getDatabase();
+        return await this.connection.startSession(options);
+    }
+
+    /**
+     * Run a callback inside a transaction.
+     * The callback receives a Transaction handle whose CRUD methods and repositories
+     * use the transaction's session. The transaction is committed when the callback
+     * resolves and aborted when it throws. The whole transaction is retried on
+     * TransientTransactionError and the commit on UnknownTransactionCommitResult.
+     * @param {Function} callback - Async function receiving the Transaction handle
+     * @param {Object} options - Transaction options (readConcern, writeConcern, readPreference)
+     * @param {number} options.maxAttempts - Maximum number of attempts for the transaction and its commit
+     * @returns {Promise<*>} Value returned by the callback
+     */
+    async withTransaction(callback, options = {}) {
+        const { maxAttempts = 3, ...transactionOptions } = options;
+        const session = await this.startSession();
+
+        try {
+            for (let attempt = 1; ; attempt++) {
+                session.startTransaction(transactionOptions);
+
+                let result;
+                try {
+                    result = await callback(new Transaction(this, session));
+                } catch (error) {
+                    if (session.inTransaction()) {
+                        await session.abortTransaction();
+                    }
+                    if (attempt < maxAttempts && hasErrorLabel(error, 'TransientTransactionError')) {
+                        this.logger.warn('Retrying transaction after transient error', this._logContext({ attempt, error }));
+                        continue;
+                    }
+                    throw error;
+                }
+
+                try {
+                    await commitWithRetry(session, maxAttempts);
+                    return result;
+                } catch (error) {
+                    if (attempt < maxAttempts && hasErrorLabel(error, 'TransientTransactionError')) {
+                        this.logger.warn('Retrying transaction after transient commit error', this._logContext({ attempt, error }));
+                        continue;
+                    }
+                    throw translateDriverError(error, 'commitTransaction');
+                }
+            }
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    /**
+     * Create a Mongoose model from a schema on this client's connection
+     * @param {string} modelName - Model name
+     * @param {Object|mongoose.Schema} schemaDefinition - Schema definition, or a prebuilt schema
+     * @param {Object} options - Schema options (ignored for a prebuilt schema)
+     * @returns {Model} Mongoose model
+     */
+    createModel(modelName, schemaDefinition, options = {}) {
+        if (this.models.has(modelName)) {
+            return this.models.get(modelName);
+        }
+        
+        const schema = schemaDefinition instanceof mongoose.Schema
+            ? schemaDefinition
+            : new mongoose.Schema(schemaDefinition, options);
+        const model = this.connection.model(modelName, schema);
+        this.models.set(modelName, model);
+        
+        return model;
+    }
+
+    /**
+     * Get a Mongoose model
+     * @param {string} modelName - Model name
+     * @returns {Model|null} Mongoose model or null if not found
+     */
+    getModel(modelName) {
+        return this.models.get(modelName) || null;
+    }
+
+    /**
+     * Enforce a schema in the database with a $jsonSchema collection validator.
+     * Creates the collection when it does not exist yet, otherwise updates it with collMod.
+     * @param {string} collectionName - Collection name
+     * @param {SchemaBuilder|Object} schema - SchemaBuilder or $jsonSchema object
+     * @param {Object} options - Validation options
+     * @param {string} options.level - Validation level: strict, moderate or off
+     * @param {string} options.action - Validation action: error or warn
+     * @returns {Promise<Object>} Whether the collection was created, and the applied validator
+     */
+    async applyValidator(collectionName, schema, options = {}) {
+        const { level = 'strict', action = 'error' } = options;
+        const jsonSchema = schema instanceof SchemaBuilder ? schema.toJsonSchema() : schema;
+        const validator = { $jsonSchema: jsonSchema };
+        const db = await this.getDatabase();
+
+        const existing = await db.listCollections({ name: collectionName }, { nameOnly: true }).toArray();
+        if (existing.length) {
+            await db.command({
+                collMod: collectionName,
+                validator,
+                validationLevel: level,
+                validationAction: action
+            });
+        } else {
+            await db.createCollection(collectionName, {
+                validator,
+                validationLevel: level,
+                validationAction: action
+            });
+        }
+
+        this.logger.info('Applied collection validator', this._logContext({ collection: collectionName, level, action }));
+        return { created: existing.length === 0, validator };
+    }
+
+    /**
+     * Bring the indexes of a collection in line with those declared on a SchemaBuilder.
+     * Missing indexes are created and indexes whose options changed are rebuilt;
+     * indexes that are not declared are only dropped with dropExtraneous.
+     * An index is never dropped before its replacement exists: when the server refuses to build the
+     * replacement next to it, the index is kept and reported in conflicts.
+     * @param {string} collectionName - Collection name
+     * @param {SchemaBuilder|Array<Object>} schema - SchemaBuilder or list of { fields, options }
+     * @param {Object} options - Synchronization options
+     * @param {boolean} options.dropExtraneous - Drop existing indexes that are not declared
+     * @param {boolean} options.dryRun - Only report the changes without applying them
+     * @returns {Promise<Object>} Report listing created, rebuilt, conflicting, dropped, unchanged and extraneous index names
+     */
+    async syncIndexes(collectionName, schema, options = {}) {
+        const { dropExtraneous = false, dryRun = false } = options;
+        const declared = schema instanceof SchemaBuilder ? schema.getIndexes() : schema;
+        const collection = await this.getCollection(collectionName);
+
+        let existing;
+        try {
+            existing = await collection.indexes();
+        } catch (error) {
+            if (error.codeName !== 'NamespaceNotFound') {
+                throw error;
+            }
+            existing = [];
+        }
+        existing = existing.filter(index => index.name !== '_id_');
+
+        const toCreate = [];
+        const toRebuild = [];
+        const unchanged = [];
+        const matched = new Set();
+        for (const { fields, options: indexOptions = {} } of declared) {
+            const match = existing.find(index => indexKeySignature(index) === indexKeySignature({ key: fields }));
+            if (!match) {
+                toCreate.push({ key: fields, ...indexOptions });
+                continue;
+            }
+            matched.add(match.name);
+            if (sameIndexOptions(match, indexOptions)) {
+                unchanged.push(match.name);
+            } else {
+                toRebuild.push({ index: match, spec: { key: fields, ...indexOptions } });
+            }
+        }
+        const extraneous = existing.filter(index => !matched.has(index.name)).map(index => index.name);
+        const toDrop = dropExtraneous ? extraneous : [];
+
+        const report = {
+            created: toCreate.map(spec => spec.name || indexName(spec.key)),
+            rebuilt: toRebuild.map(({ index }) => index.name),
+            conflicts: [],
+            dropped: toDrop,
+            unchanged,
+            extraneous,
+            dryRun
+        };
+        if (dryRun) {
+            return report;
+        }
+
+        if (toCreate.length) {
+            await collection.createIndexes(toCreate);
+        }
+        report.rebuilt = [];
+        for (const { index, spec } of toRebuild) {
+            try {
+                report.rebuilt.push(await this._rebuildIndex(collection, index, spec));
+            } catch (error) {
+                if (!INDEX_CONFLICT_CODES.includes(error.code)) {
+                    throw error;
+                }
+                report.conflicts.push(index.name);
+                this.logger.warn('Kept index whose replacement conflicts with it', this._logContext({
+                    collection: collectionName,
+                    index: index.name,
+                    error
+                }));
+            }
+        }
+        for (const name of toDrop) {
+            await collection.dropIndex(name);
+        }
+
+        this.logger.info('Synchronized indexes', this._logContext({ collection: collectionName, ...report }));
+        return report;
+    }
+
+    /**
+     * Replace an index whose options changed.
+     * A changed TTL is applied in place with collMod. Otherwise the replacement is built first, under
+     * another name when it would take the name of the existing index, and the existing index is
+     * dropped once the replacement exists.
+     * @param {Collection} collection - Driver collection
+     * @param {Object} index - Existing index, as listed by the server
+     * @param {Object} spec - Declared index specification with its key and options
+     * @returns {Promise<string>} Name of the index after the rebuild
+     */
+    async _rebuildIndex(collection, index, spec) {
+        const { key, ...indexOptions } = spec;
+        if (index.expireAfterSeconds !== undefined && indexOptions.expireAfterSeconds !== undefined &&
+            sameIndexOptions(index, { ...indexOptions, expireAfterSeconds: index.expireAfterSeconds })) {
+            const db = await this.getDatabase();
+            await db.command({
+                collMod: collection.collectionName,
+                index: { name: index.name, expireAfterSeconds: indexOptions.expireAfterSeconds }
+            });
+            return index.name;
+        }
+        let name = indexOptions.name || indexName(key);
+        if (name === index.name) {
+            name = `${name}_rebuilt`;
+        }
+        await collection.createIndex(key, { ...indexOptions, name });
+        await collection.dropIndex(index.name);
+        return name;
+    }
+
+    /**
+     * Run an operation against a collection, logging it when logQueries is enabled.
+     * Driver errors are translated into MongoBuddyError subclasses (see translateDriverError).
+     * @param {string} operation - Operation name
+     * @param {string} collectionName - Collection name
+     * @param {Object|Array} filter - Filter or pipeline, logged by shape only
+     * @param {Function} callback - Receives the collection and performs the operation
+     * @returns {Promise<*>} Operation result
+     */
+    async _execute(operation, collectionName, filter, callback) {
+        const startedAt = Date.now();
+        try {
+            const collection = await this.getCollection(collectionName);
+            const result = await callback(collection);
+            if (this.logQueries) {
+                this.logger.debug(`MongoDB ${operation}`, { ...this._queryContext(operation, collectionName, filter), durationMS: Date.now() - startedAt });
+            }
+            return result;
+        } catch (error) {
+            if (this.logQueries) {
+                this.logger.debug(`MongoDB ${operation} failed`, { ...this._queryContext(operation, collectionName, filter), durationMS: Date.now() - startedAt, error });
+            }
+            throw translateDriverError(error, operation, collectionName);
+        }
+    }
+
+    /**
+     * Build the log context of a query
+     * @param {string} operation - Operation name
+     * @param {string} collectionName - Collection name
+     * @param {Object|Array} filter - Filter or pipeline, logged by shape only
+     * @returns {Object} Log context
+     */
+    _queryContext(operation, collectionName, filter) {
+        const context = { collection: collectionName, operation };
+        if (filter !== undefined) {
+            context.filter = describeShape(filter);
+        }
+        return context;
+    }
+
+    /**
+     * Insert a single document
+     * @param {string} collectionName - Collection name
+     * @param {Object} data - Document to insert
+     * @param {Object} options - Insert options
+     * @returns {Promise<Object>} Insert result
+     */
+    async insertOne(collectionName, data, options = {}) {
+        return await this._execute('insertOne', collectionName, undefined, collection =>
+            collection.insertOne(data, options)
+        );
+    }
+
+    /**
+     * Insert multiple documents
+     * @param {string} collectionName - Collection name
+     * @param {Array} data - Documents to insert
+     * @param {Object} options - Insert options
+     * @returns {Promise<Object>} Insert result
+     */
+    async insertMany(collectionName, data, options = {}) {
+        return await this._execute('insertMany', collectionName, undefined, collection =>
+            collection.insertMany(data, options)
+        );
+    }
+
+    /**
+     * Find a single document
+     * @param {string} collectionName - Collection name
+     * @param {Object} query - Query filter
+     * @param {Object} options - Query options
+     * @returns {Promise<Object>} Found document or null
+     */
+    async findOne(collectionName, query, options = {}) {
+        return await this._execute('findOne', collectionName, query, collection =>
+            collection.findOne(query, options)
+        );
+    }
+
+    /**
+     * Find multiple documents
+     * @param {string} collectionName - Collection name
+     * @param {Object} query - Query filter
+     * @param {Object} options - Query options
+     * @returns {Promise<Array>} Array of documents
+     */
+    async find(collectionName, query = {}, options = {}) {
+        return await this._execute('find', collectionName, query, collection =>
+            collection.find(query, options).toArray()
+        );
+    }
+
+    /**
+     * Update a single document
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} update - Update operations
+     * @param {Object} options - Update options
+     * @returns {Promise<Object>} Update result
+     */
+    async updateOne(collectionName, filter, update, options = {}) {
+        return await this._execute('updateOne', collectionName, filter, collection =>
+            collection.updateOne(filter, update, options)
+        );
+    }
+
+    /**
+     * Update multiple documents
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} update - Update operations
+     * @param {Object} options - Update options
+     * @returns {Promise<Object>} Update result
+     */
+    async updateMany(collectionName, filter, update, options = {}) {
+        return await this._execute('updateMany', collectionName, filter, collection =>
+            collection.updateMany(filter, update, options)
+        );
+    }
+
+    /**
+     * Replace a single document
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} replacement - Replacement document
+     * @param {Object} options - Replace options
+     * @returns {Promise<Object>} Update result
+     */
+    async replaceOne(collectionName, filter, replacement, options = {}) {
+        return await this._execute('replaceOne', collectionName, filter, collection =>
+            collection.replaceOne(filter, replacement, options)
+        );
+    }
+
+    /**
+     * Update the document matching the criteria, inserting it when none matches.
+     * Plain data is applied with $set; update operators are applied as given.
+     * @param {string} collectionName - Collection name
+     * @param {Object} criteria - Filter criteria
+     * @param {Object} data - Fields to set, or update operations
+     * @param {Object} options - Update options
+     * @returns {Promise<Object>} Update result, with upsertedId when a document was inserted
+     */
+    async upsert(collectionName, criteria, data, options = {}) {
+        const update = isOperatorUpdate(data) ? data : { $set: data };
+        return await this.updateOne(collectionName, criteria, update, { ...options, upsert: true });
+    }
+
+    /**
+     * Update a single document and return it
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} update - Update operations
+     * @param {Object} options - Options, such as returnDocument ('before' or 'after'), upsert and projection
+     * @returns {Promise<Object|null>} Document before or after the update, or null when none matched
+     */
+    async findOneAndUpdate(collectionName, filter, update, options = {}) {
+        return await this._execute('findOneAndUpdate', collectionName, filter, collection =>
+            collection.findOneAndUpdate(filter, update, options)
+        );
+    }
+
+    /**
+     * Replace a single document and return it
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} replacement - Replacement document
+     * @param {Object} options - Options, such as returnDocument ('before' or 'after'), upsert and projection
+     * @returns {Promise<Object|null>} Document before or after the replacement, or null when none matched
+     */
+    async findOneAndReplace(collectionName, filter, replacement, options = {}) {
+        return await this._execute('findOneAndReplace', collectionName, filter, collection =>
+            collection.findOneAndReplace(filter, replacement, options)
+        );
+    }
+
+    /**
+     * Delete a single document and return it
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} options - Options, such as sort and projection
+     * @returns {Promise<Object|null>} Deleted document, or null when none matched
+     */
+    async findOneAndDelete(collectionName, filter, options = {}) {
+        return await this._execute('findOneAndDelete', collectionName, filter, collection =>
+            collection.findOneAndDelete(filter, options)
+        );
+    }
+
+    /**
+     * Delete a single document
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} options - Delete options
+     * @returns {Promise<Object>} Delete result
+     */
+    async deleteOne(collectionName, filter, options = {}) {
+        return await this._execute('deleteOne', collectionName, filter, collection =>
+            collection.deleteOne(filter, options)
+        );
+    }
+
+    /**
+     * Delete multiple documents
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} options - Delete options
+     * @returns {Promise<Object>} Delete result
+     */
+    async deleteMany(collectionName, filter, options = {}) {
+        return await this._execute('deleteMany', collectionName, filter, collection =>
+            collection.deleteMany(filter, options)
+        );
+    }
+
+    /**
+     * Count documents in a collection
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} options - Count options
+     * @returns {Promise<number>} Document count
+     */
+    async countDocuments(collectionName, filter = {}, options = {}) {
+        return await this._execute('countDocuments', collectionName, filter, collection =>
+            collection.countDocuments(filter, options)
+        );
+    }
+
+    /**
+     * Run a list of write operations ({ insertOne }, { updateOne }, { deleteMany }, ...), sent in batches.
+     * Failing operations do not throw: they are reported in `errors`, keyed by their index in `operations`.
+     * Ordered writes stop at the first failure; unordered writes attempt every operation.
+     * @param {string} collectionName - Collection name
+     * @param {Array<Object>} operations - Bulk write operations, as accepted by the driver
+     * @param {Object} options - Bulk write options
+     * @param {boolean} options.ordered - Stop at the first failing operation (default true)
+     * @param {number} options.batchSize - Operations sent per command (default 1000)
+     * @returns {Promise<Object>} Merged result with counts, insertedIds and upsertedIds keyed by operation
+     *                            index, errors as { [index]: { code, message, operation } } and ok
+     */
+    async bulkWrite(collectionName, operations, options = {}) {
+        const { ordered = true, batchSize = DEFAULT_BULK_BATCH_SIZE, ...bulkOptions } = options;
+        assertPositiveInteger(batchSize, 'batchSize');
+
+        const result = emptyBulkResult();
+        for (let offset = 0; offset < operations.length; offset += batchSize) {
+            const batch = operations.slice(offset, offset + batchSize);
+            let batchResult;
+            let writeErrors = [];
+            try {
+                batchResult = await this._execute('bulkWrite', collectionName, undefined, collection =>
+                    collection.bulkWrite(batch, { ...bulkOptions, ordered })
+                );
+            } catch (error) {
+                const driverError = error instanceof MongoBuddyError ? error.cause : error;
+                if (!(driverError instanceof mongoose.mongo.MongoBulkWriteError) || !driverError.writeErrors.length) {
+                    throw error;
+                }
+                batchResult = driverError.result;
+                writeErrors = driverError.writeErrors;
+            }
+
+            mergeBulkResult(result, batchResult, index => offset + index);
+            for (const writeError of writeErrors) {
+                result.errors[offset + writeError.index] = {
+                    code: writeError.code,
+                    message: writeError.errmsg,
+                    operation: batch[writeError.index]
+                };
+            }
+            if (writeErrors.length) {
+                result.ok = false;
+                if (ordered) {
+                    break;
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Perform an aggregation pipeline
+     * @param {string} collectionName - Collection name
+     * @param {Array} pipeline - Aggregation pipeline
+     * @param {Object} options - Aggregation options
+     * @returns {Promise<Array>} Aggregation results
+     */
+    async aggregate(collectionName, pipeline, options = {}) {
+        return await this._execute('aggregate', collectionName, pipeline, collection =>
+            collection.aggregate(pipeline, options).toArray()
+        );
+    }
+
+    /**
+     * Stream the documents matching a query without loading them all into memory.
+     * The returned Readable stream can be piped or consumed with `for await`.
+     * @param {string} collectionName - Collection name
+     * @param {Object} query - Query filter
+     * @param {Object} options - Query options
+     * @param {number} options.batchSize - Number of documents fetched per round trip
+     * @param {Function} options.onBatch - Called with each batch of documents once it has been consumed
+     * @returns {Readable} Object mode stream of documents
+     */
+    stream(collectionName, query = {}, options = {}) {
+        const { batchSize = DEFAULT_STREAM_BATCH_SIZE, onBatch, ...findOptions } = options;
+        return this._streamCursor('find', collectionName, query, { batchSize, onBatch }, collection =>
+            collection.find(query, { ...findOptions, batchSize })
+        );
+    }
+
+    /**
+     * Stream the results of an aggregation pipeline
+     * @param {string} collectionName - Collection name
+     * @param {Array} pipeline - Aggregation pipeline
+     * @param {Object} options - Aggregation options
+     * @param {number} options.batchSize - Number of documents fetched per round trip
+     * @param {Function} options.onBatch - Called with each batch of documents once it has been consumed
+     * @returns {Readable} Object mode stream of documents
+     */
+    aggregateStream(collectionName, pipeline, options = {}) {
+        const { batchSize = DEFAULT_STREAM_BATCH_SIZE, onBatch, ...aggregateOptions } = options;
+        return this._streamCursor('aggregate', collectionName, pipeline, { batchSize, onBatch }, collection =>
+            collection.aggregate(pipeline, { ...aggregateOptions, batchSize })
+        );
+    }
+
+    /**
+     * Wrap a driver cursor in a Readable stream, closing the cursor when the stream ends
+     * @param {string} operation - Operation name, for logging
+     * @param {string} collectionName - Collection name
+     * @param {Object|Array} filter - Filter or pipeline, logged by shape only
+     * @param {Object} batching - batchSize and onBatch settings
+     * @param {Function} openCursor - Receives the collection and returns a cursor
+     * @returns {Readable} Object mode stream of documents
+     */
+    _streamCursor(operation, collectionName, filter, { batchSize, onBatch }, openCursor) {
+        const client = this;
+
+        async function* documents() {
+            let collection;
+            try {
+                collection = await client.getCollection(collectionName);
+            } catch (error) {
+                throw translateDriverError(error, operation, collectionName);
+            }
+            const cursor = openCursor(collection);
+            const startedAt = Date.now();
+            let batch = [];
+            let count = 0;
+
+            try {
+                for await (const document of cursor) {
+                    yield document;
+                    count++;
+                    if (onBatch) {
+                        batch.push(document);
+                        if (batch.length >= batchSize) {
+                            await onBatch(batch);
+                            batch = [];
+                        }
+                    }
+                }
+                if (onBatch && batch.length) {
+                    await onBatch(batch);
+                }
+            } catch (error) {
+                throw translateDriverError(error, operation, collectionName);
+            } finally {
+                await cursor.close();
+                if (client.logQueries) {
+                    client.logger.debug(`MongoDB ${operation} stream`, {
+                        collection: collectionName,
+                        operation,
+                        filter: describeShape(filter),
+                        count,
+                        durationMS: Date.now() - startedAt
+                    });
+                }
+            }
+        }
+
+        return Readable.from(documents());
+    }
+}
+
+/**
+ * Transaction class
+ * Handle passed to MongoClient.withTransaction() callbacks. Exposes the CRUD
+ * methods of MongoClient with every call bound to the transaction's session.
+ */
+class Transaction {
+    /**
+     * Create a new transaction handle
+     * @param {MongoClient} client - MongoDB client instance
+     * @param {ClientSession} session - Session running the transaction
+     */
+    constructor(client, session) {
+        this.client = client;
+        this.session = session;
+    }
+
+    /**
+     * Add the transaction's session to operation options
+     * @param {Object} options - Operation options
+     * @returns {Object} Options including the session
+     */
+    withSession(options = {}) {
+        return { ...options, session: this.session };
+    }
+
+    /**
+     * Create a repository whose operations run inside this transaction
+     * @param {string} collectionName - Collection name
+     * @param {Object} options - Repository options
+     * @returns {Repository} Repository bound to the transaction
+     */
+    repository(collectionName, options = {}) {
+        return new Repository(this, collectionName, options);
+    }
+
+    /**
+     * Get a MongoDB collection
+     * @param {string} collectionName - Collection name
+     * @returns {Promise<Collection>} MongoDB collection
+     */
+    async getCollection(collectionName) {
+        return await this.client.getCollection(collectionName);
+    }
+
+    /**
+     * Create a Mongoose model on the underlying client
+     * @param {string} modelName - Model name
+     * @param {Object} schemaDefinition - Schema definition
+     * @param {Object} options - Schema options
+     * @returns {Model} Mongoose model
+     */
+    createModel(modelName, schemaDefinition, options = {}) {
+        return this.client.createModel(modelName, schemaDefinition, options);
+    }
+
+    /**
+     * Get a Mongoose model from the underlying client
+     * @param {string} modelName - Model name
+     * @returns {Model|null} Mongoose model or null if not found
+     */
+    getModel(modelName) {
+        return this.client.getModel(modelName);
+    }
+
+    /**
+     * Insert a single document within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Object} data - Document to insert
+     * @param {Object} options - Insert options
+     * @returns {Promise<Object>} Insert result
+     */
+    async insertOne(collectionName, data, options = {}) {
+        return await this.client.insertOne(collectionName, data, this.withSession(options));
+    }
+
+    /**
+     * Insert multiple documents within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Array} data - Documents to insert
+     * @param {Object} options - Insert options
+     * @returns {Promise<Object>} Insert result
+     */
+    async insertMany(collectionName, data, options = {}) {
+        return await this.client.insertMany(collectionName, data, this.withSession(options));
+    }
+
+    /**
+     * Find a single document within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Object} query - Query filter
+     * @param {Object} options - Query options
+     * @returns {Promise<Object>} Found document or null
+     */
+    async findOne(collectionName, query, options = {}) {
+        return await this.client.findOne(collectionName, query, this.withSession(options));
+    }
+
+    /**
+     * Find multiple documents within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Object} query - Query filter
+     * @param {Object} options - Query options
+     * @returns {Promise<Array>} Array of documents
+     */
+    async find(collectionName, query = {}, options = {}) {
+        return await this.client.find(collectionName, query, this.withSession(options));
+    }
+
+    /**
+     * Update a single document within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} update - Update operations
+     * @param {Object} options - Update options
+     * @returns {Promise<Object>} Update result
+     */
+    async updateOne(collectionName, filter, update, options = {}) {
+        return await this.client.updateOne(collectionName, filter, update, this.withSession(options));
+    }
+
+    /**
+     * Update multiple documents within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} update - Update operations
+     * @param {Object} options - Update options
+     * @returns {Promise<Object>} Update result
+     */
+    async updateMany(collectionName, filter, update, options = {}) {
+        return await this.client.updateMany(collectionName, filter, update, this.withSession(options));
+    }
+
+    /**
+     * Replace a single document within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} replacement - Replacement document
+     * @param {Object} options - Replace options
+     * @returns {Promise<Object>} Update result
+     */
+    async replaceOne(collectionName, filter, replacement, options = {}) {
+        return await this.client.replaceOne(collectionName, filter, replacement, this.withSession(options));
+    }
+
+    /**
+     * Update or insert a document within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Object} criteria - Filter criteria
+     * @param {Object} data - Fields to set, or update operations
+     * @param {Object} options - Update options
+     * @returns {Promise<Object>} Update result
+     */
+    async upsert(collectionName, criteria, data, options = {}) {
+        return await this.client.upsert(collectionName, criteria, data, this.withSession(options));
+    }
+
+    /**
+     * Update a single document within the transaction and return it
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} update - Update operations
+     * @param {Object} options - Options, such as returnDocument
+     * @returns {Promise<Object|null>} Document before or after the update
+     */
+    async findOneAndUpdate(collectionName, filter, update, options = {}) {
+        return await this.client.findOneAndUpdate(collectionName, filter, update, this.withSession(options));
+    }
+
+    /**
+     * Replace a single document within the transaction and return it
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} replacement - Replacement document
+     * @param {Object} options - Options, such as returnDocument
+     * @returns {Promise<Object|null>} Document before or after the replacement
+     */
+    async findOneAndReplace(collectionName, filter, replacement, options = {}) {
+        return await this.client.findOneAndReplace(collectionName, filter, replacement, this.withSession(options));
+    }
+
+    /**
+     * Delete a single document within the transaction and return it
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} options - Options, such as sort and projection
+     * @returns {Promise<Object|null>} Deleted document
+     */
+    async findOneAndDelete(collectionName, filter, options = {}) {
+        return await this.client.findOneAndDelete(collectionName, filter, this.withSession(options));
+    }
+
+    /**
+     * Delete a single document within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} options - Delete options
+     * @returns {Promise<Object>} Delete result
+     */
+    async deleteOne(collectionName, filter, options = {}) {
+        return await this.client.deleteOne(collectionName, filter, this.withSession(options));
+    }
+
+    /**
+     * Delete multiple documents within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} options - Delete options
+     * @returns {Promise<Object>} Delete result
+     */
+    async deleteMany(collectionName, filter, options = {}) {
+        return await this.client.deleteMany(collectionName, filter, this.withSession(options));
+    }
+
+    /**
+     * Run a list of write operations within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Array<Object>} operations - Bulk write operations
+     * @param {Object} options - Bulk write options, including ordered and batchSize
+     * @returns {Promise<Object>} Merged bulk write result
+     */
+    async bulkWrite(collectionName, operations, options = {}) {
+        return await this.client.bulkWrite(collectionName, operations, this.withSession(options));
+    }
+
+    /**
+     * Count documents within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Object} filter - Filter criteria
+     * @param {Object} options - Count options
+     * @returns {Promise<number>} Document count
+     */
+    async countDocuments(collectionName, filter = {}, options = {}) {
+        return await this.client.countDocuments(collectionName, filter, this.withSession(options));
+    }
+
+    /**
+     * Perform an aggregation pipeline within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Array} pipeline - Aggregation pipeline
+     * @param {Object} options - Aggregation options
+     * @returns {Promise<Array>} Aggregation results
+     */
+    async aggregate(collectionName, pipeline, options = {}) {
+        return await this.client.aggregate(collectionName, pipeline, this.withSession(options));
+    }
+
+    /**
+     * Stream the documents matching a query within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Object} query - Query filter
+     * @param {Object} options - Query and batching options
+     * @returns {Readable} Object mode stream of documents
+     */
+    stream(collectionName, query = {}, options = {}) {
+        return this.client.stream(collectionName, query, this.withSession(options));
+    }
+
+    /**
+     * Stream the results of an aggregation pipeline within the transaction
+     * @param {string} collectionName - Collection name
+     * @param {Array} pipeline - Aggregation pipeline
+     * @param {Object} options - Aggregation and batching options
+     * @returns {Readable} Object mode stream of documents
+     */
+    aggregateStream(collectionName, pipeline, options = {}) {
+        return this.client.aggregateStream(collectionName, pipeline, this.withSession(options));
+    }
+}
+
+/**
+ * Check whether a value is a plain object literal
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Map a Mongoose schema type to a MongoDB BSON type alias
+ * @param {*} type - Schema type (constructor, Mongoose schema type or type name)
+ * @returns {string|undefined} BSON type alias, or undefined when any type is allowed
+ */
+function bsonTypeFor(type) {
+    const name = typeof type === 'string' ? type : type && (type.schemaName || type.name);
+    switch (name) {
+        case 'String':
+            return 'string';
+        case 'Number':
+            return 'number';
+        case 'Boolean':
+            return 'bool';
+        case 'Date':
+            return 'date';
+        case 'ObjectId':
+            return 'objectId';
+        case 'Decimal128':
+            return 'decimal';
+        case 'Buffer':
+        case 'UUID':
+            return 'binData';
+        case 'Map':
+            return 'object';
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Read the value of a Mongoose validator option, which may be given as [value, message]
+ * @param {*} option - Validator option
+ * @returns {*} Option value
+ */
+function validatorValue(option) {
+    return Array.isArray(option) ? option[0] : option;
+}
+
+/**
+ * Add the createdAt/updatedAt properties of a timestamps schema option to a $jsonSchema object
+ * @param {Object} jsonSchema - $jsonSchema object
+ * @param {boolean|Object} timestamps - timestamps schema option
+ * @returns {Object} The same $jsonSchema object
+ */
+function addTimestampProperties(jsonSchema, timestamps) {
+    const fields = resolveTimestamps(timestamps);
+    if (fields) {
+        for (const field of [fields.createdAt, fields.updatedAt]) {
+            if (field) {
+                jsonSchema.properties[field] = { bsonType: 'date' };
+            }
+        }
+    }
+    return jsonSchema;
+}
+
+/**
+ * Convert a Mongoose schema, such as a nested builder's, into a $jsonSchema object
+ * @param {mongoose.Schema} schema - Mongoose schema
+ * @returns {Object} $jsonSchema object
+ */
+function schemaToJsonSchema(schema) {
+    return addTimestampProperties(definitionToJsonSchema(schema.obj), schema.options.timestamps);
+}
+
+/**
+ * Convert a schema definition (field name to field definition) into a $jsonSchema object
+ * @param {Object} definition - Schema definition
+ * @returns {Object} $jsonSchema object
+ */
+function definitionToJsonSchema(definition) {
+    const properties = {};
+    const required = [];
+    for (const [field, fieldDefinition] of Object.entries(definition)) {
+        const converted = fieldToJsonSchema(fieldDefinition);
+        properties[field] = converted.schema;
+        if (converted.required) {
+            required.push(field);
+        }
+    }
+
+    const jsonSchema = { bsonType: 'object' };
+    if (required.length) {
+        jsonSchema.required = required;
+    }
+    jsonSchema.properties = properties;
+    return jsonSchema;
+}
+
+/**
+ * Convert a single field definition into a $jsonSchema property
+ * @param {*} fieldDefinition - Field definition as accepted by Mongoose
+ * @returns {Object} Property schema and whether the field is required
+ */
+function fieldToJsonSchema(fieldDefinition) {
+    if (Array.isArray(fieldDefinition)) {
+        const items = fieldDefinition.length ? fieldToJsonSchema(fieldDefinition[0]).schema : {};
+        return { schema: { bsonType: 'array', items }, required: false };
+    }
+    if (fieldDefinition instanceof mongoose.Schema) {
+        return { schema: schemaToJsonSchema(fieldDefinition), required: false };
+    }
+    if (isPlainObject(fieldDefinition) && !('type' in fieldDefinition)) {
+        return { schema: definitionToJsonSchema(fieldDefinition), required: false };
+    }
+
+    const { type, ...options } = isPlainObject(fieldDefinition) ? fieldDefinition : { type: fieldDefinition };
+    let schema;
+    if (Array.isArray(type)) {
+        schema = fieldToJsonSchema(type).schema;
+    } else if (type instanceof mongoose.Schema) {
+        schema = schemaToJsonSchema(type);
+    } else if (isPlainObject(type)) {
+        schema = definitionToJsonSchema(type);
+    } else {
+        const bsonType = bsonTypeFor(type);
+        schema = bsonType ? { bsonType } : {};
+        if (bsonType === 'object' && options.of) {
+            schema.additionalProperties = fieldToJsonSchema(options.of).schema;
+        }
+    }
+
+    if (options.enum) {
+        const values = Array.isArray(options.enum) ? options.enum : options.enum.values;
+        schema.enum = [...values];
+    }
+    const min = validatorValue(options.min);
+    const max = validatorValue(options.max);
+    if (typeof min === 'number') {
+        schema.minimum = min;
+    }
+    if (typeof max === 'number') {
+        schema.maximum = max;
+    }
+    const minLength = validatorValue(options.minLength !== undefined ? options.minLength : options.minlength);
+    const maxLength = validatorValue(options.maxLength !== undefined ? options.maxLength : options.maxlength);
+    if (minLength !== undefined) {
+        schema.minLength = minLength;
+    }
+    if (maxLength !== undefined) {
+        schema.maxLength = maxLength;
+    }
+    const match = validatorValue(options.match);
+    if (match instanceof RegExp) {
+        schema.pattern = match.flags.includes('i') ? `(?i)${match.source}` : match.source;
+    }
+
+    const required = validatorValue(options.required) === true;
+    // Optional fields may hold null, which Mongoose stores for explicitly unset values
+    if (!required && typeof schema.bsonType === 'string' && schema.bsonType !== 'array' && schema.bsonType !== 'object') {
+        schema.bsonType = [schema.bsonType, 'null'];
+        if (schema.enum) {
+            schema.enum.push(null);
+        }
+    }
+    return { schema, required };
+}
+
+/**
+ * Index options compared by MongoClient.syncIndexes()
+ */
+const COMPARED_INDEX_OPTIONS = ['unique', 'sparse', 'expireAfterSeconds', 'partialFilterExpression', 'collation'];
+
+/**
+ * Server error codes refusing an index because an index on the same key already exists
+ * (IndexOptionsConflict, IndexKeySpecsConflict)
+ */
+const INDEX_CONFLICT_CODES = [85, 86];
+
+/**
+ * Generate the default name the server gives an index
+ * @param {Object} key - Index key specification
+ * @returns {string} Index name
+ */
+function indexName(key) {
+    return Object.entries(key).map(([field, value]) => `${field}_${value}`).join('_');
+}
+
+/**
+ * Build a comparable signature of an index key.
+ * Text indexes are reported by the server as { _fts, _ftsx } plus weights,
+ * so their fields are rebuilt from the weights.
+ * @param {Object} index - Index with a key (and weights for text indexes)
+ * @returns {string} Signature
+ */
+function indexKeySignature(index) {
+    const entries = [];
+    const textFields = [];
+    for (const [field, value] of Object.entries(index.key)) {
+        if (field === '_fts') {
+            textFields.push(...Object.keys(index.weights || {}));
+        } else if (field === '_ftsx') {
+            continue;
+        } else if (value === 'text') {
+            textFields.push(field);
+        } else {
+            entries.push(`${field}:${value}`);
+        }
+    }
+    if (textFields.length) {
+        entries.push(`text(${textFields.sort().join(',')})`);
+    }
+    return entries.join('|');
+}
+
+/**
+ * Compare the options of an existing index with declared options
+ * @param {Object} existing - Index as returned by the server
+ * @param {Object} declared - Declared index options
+ * @returns {boolean} Whether the relevant options match
+ */
+function sameIndexOptions(existing, declared) {
+    return COMPARED_INDEX_OPTIONS.every(option => {
+        if (option === 'unique' || option === 'sparse') {
+            return Boolean(existing[option]) === Boolean(declared[option]);
+        }
+        if (option === 'collation' && declared.collation) {
+            return Boolean(existing.collation) &&
+                Object.entries(declared.collation).every(([key, value]) => existing.collation[key] === value);
+        }
+        if (option === 'collation') {
+            return true;
+        }
+        return EJSON.stringify(existing[option]) === EJSON.stringify(declared[option]);
+    });
+}
+
+/**
+ * Compare two field definitions, treating sub-schemas with the same fields as equal
+ * @param {*} a - First definition
+ * @param {*} b - Second definition
+ * @returns {boolean} Whether both definitions describe the same field
+ */
+function sameDefinition(a, b) {
+    if (a instanceof mongoose.Schema && b instanceof mongoose.Schema) {
+        return sameDefinition(a.obj, b.obj);
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((value, i) => sameDefinition(value, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length &&
+            keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameDefinition(a[key], b[key]));
+    }
+    if (a instanceof RegExp && b instanceof RegExp) {
+        return String(a) === String(b);
+    }
+    return Object.is(a, b);
+}
+
+/**
+ * Resolve a nested schema argument, building SchemaBuilder instances into a Mongoose schema
+ * so their options, indexes, virtuals, methods and middleware apply to the subdocuments
+ * @param {Object|SchemaBuilder} schema - Nested schema definition or builder
+ * @returns {*} Schema definition
+ */
+function resolveNestedSchema(schema) {
+    return schema instanceof SchemaBuilder ? schema.toSchema() : schema;
+}
+
+/**
+ * Check that GeoJSON coordinates are a [longitude, latitude] pair within range
+ * @param {Array<number>} coordinates - Coordinates to check
+ * @returns {boolean} Whether the coordinates are valid
+ */
+function isValidCoordinates(coordinates) {
+    return Array.isArray(coordinates) &&
+        coordinates.length === 2 &&
+        coordinates[0] >= -180 && coordinates[0] <= 180 &&
+        coordinates[1] >= -90 && coordinates[1] <= 90;
+}
+
+/**
+ * Create the sub-schema of a GeoJSON point
+ * @returns {mongoose.Schema} GeoJSON point schema
+ */
+function createGeoPointSchema() {
+    return new mongoose.Schema({
+        type: { type: String, enum: ['Point'], default: 'Point', required: true },
+        coordinates: {
+            type: [Number],
+            required: true,
+            validate: {
+                validator: isValidCoordinates,
+                message: 'Coordinates must be [longitude, latitude] with longitude in [-180, 180] and latitude in [-90, 90]'
+            }
+        }
+    }, { _id: false });
+}
+
+/**
+ * Schema Builder class
+ * Provides helper methods for creating MongoDB schemas
+ */
+class SchemaBuilder {
+    constructor() {
+        this.schemaDefinition = {};
+        this.schemaOptions = {
+            timestamps: true,
+            versionKey: false
+        };
+        this.indexes = [];
+        this.nestedIndexes = [];
+        this.virtuals = {};
+        this.methods = {};
+        this.statics = {};
+        this.hooks = [];
+    }
+
+    /**
+     * Add a string field to the schema
+     * @param {string} fieldName - Field name
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addString(fieldName, options = {}) {
+        this.schemaDefinition[fieldName] = { type: String, ...options };
+        return this;
+    }
+
+    /**
+     * Add a number field to the schema
+     * @param {string} fieldName - Field name
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addNumber(fieldName, options = {}) {
+        this.schemaDefinition[fieldName] = { type: Number, ...options };
+        return this;
+    }
+
+    /**
+     * Add a boolean field to the schema
+     * @param {string} fieldName - Field name
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addBoolean(fieldName, options = {}) {
+        this.schemaDefinition[fieldName] = { type: Boolean, ...options };
+        return this;
+    }
+
+    /**
+     * Add a date field to the schema
+     * @param {string} fieldName - Field name
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addDate(fieldName, options = {}) {
+        this.schemaDefinition[fieldName] = { type: Date, ...options };
+        return this;
+    }
+
+    /**
+     * Add an object ID field to the schema
+     * @param {string} fieldName - Field name
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addObjectId(fieldName, options = {}) {
+        this.schemaDefinition[fieldName] = { type: mongoose.Schema.Types.ObjectId, ...options };
+        return this;
+    }
+
+    /**
+     * Add an array field to the schema.
+     * A SchemaBuilder element type produces an array of subdocuments built with its schema and options.
+     * @param {string} fieldName - Field name
+     * @param {Object|Array|SchemaBuilder} type - Array type definition
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addArray(fieldName, type, options = {}) {
+        this.schemaDefinition[fieldName] = [{ type: resolveNestedSchema(type), ...options }];
+        this._nestIndexes(fieldName, type);
+        return this;
+    }
+
+    /**
+     * Add a nested object field to the schema.
+     * A SchemaBuilder is nested as a subdocument built with its schema and options (e.g. _id: false).
+     * @param {string} fieldName - Field name
+     * @param {Object|SchemaBuilder} schema - Nested schema definition
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addObject(fieldName, schema, options = {}) {
+        this.schemaDefinition[fieldName] = { type: resolveNestedSchema(schema), ...options };
+        this._nestIndexes(fieldName, schema);
+        return this;
+    }
+
+    /**
+     * Record every index of a nested builder, field-level ones included, prefixed with the field name.
+     * Mongoose already picks them up from the nested schema, so they are only reported by getIndexes().
+     * @param {string} fieldName - Field the builder is nested under
+     * @param {*} schema - Nested schema definition or builder
+     */
+    _nestIndexes(fieldName, schema) {
+        if (!(schema instanceof SchemaBuilder)) {
+            return;
+        }
+        for (const { fields, options } of schema.getIndexes()) {
+            const prefixed = {};
+            for (const [field, direction] of Object.entries(fields)) {
+                prefixed[`${fieldName}.${field}`] = direction;
+            }
+            this.nestedIndexes.push({ fields: prefixed, options: { ...options } });
+        }
+    }
+
+    /**
+     * Merge the fields, indexes, virtuals, methods, statics and middleware of another builder into this one.
+     * Schema options are left unchanged. Fields defined identically on both builders are accepted;
+     * a field or index defined differently throws.
+     * @param {SchemaBuilder} other - Builder to merge
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    extend(other) {
+        if (!(other instanceof SchemaBuilder)) {
+            throw new TypeError('extend() expects a SchemaBuilder instance');
+        }
+        const added = { indexes: [], nestedIndexes: [] };
+        for (const list of ['indexes', 'nestedIndexes']) {
+            for (const index of other[list]) {
+                const key = JSON.stringify(index.fields);
+                const existing = this[list].find(candidate => JSON.stringify(candidate.fields) === key);
+                if (!existing) {
+                    added[list].push({ fields: index.fields, options: { ...index.options } });
+                } else if (!sameDefinition(existing.options, index.options)) {
+                    throw new Error(`Index ${key} is already declared with different options`);
+                }
+            }
+        }
+        for (const [kind, label] of [['virtuals', 'Virtual'], ['methods', 'Method'], ['statics', 'Static']]) {
+            for (const [name, value] of Object.entries(other[kind])) {
+                if (name in this[kind] && !sameDefinition(this[kind][name], value)) {
+                    throw new Error(`${label} "${name}" is already defined differently in this schema`);
+                }
+            }
+        }
+        this._mergeFields(other.schemaDefinition);
+        this.indexes.push(...added.indexes);
+        this.nestedIndexes.push(...added.nestedIndexes);
+        Object.assign(this.virtuals, other.virtuals);
+        Object.assign(this.methods, other.methods);
+        Object.assign(this.statics, other.statics);
+        this.hooks.push(...other.hooks.filter(hook => !this.hooks.includes(hook)));
+        return this;
+    }
+
+    /**
+     * Merge a reusable fragment into this builder.
+     * A fragment is either a plain object of field definitions or a SchemaBuilder (see extend()).
+     * Fields of a plain fragment may be builders, or single-element arrays of builders, which are
+     * nested as with addObject() and addArray().
+     * @param {Object|SchemaBuilder} fragment - Fields to merge
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    mixin(fragment) {
+        if (fragment instanceof SchemaBuilder) {
+            return this.extend(fragment);
+        }
+        if (!isPlainObject(fragment)) {
+            throw new TypeError('mixin() expects an object of field definitions or a SchemaBuilder');
+        }
+        const definition = {};
+        const nested = [];
+        for (const [field, value] of Object.entries(fragment)) {
+            const element = Array.isArray(value) && value.length === 1 ? value[0] : value;
+            if (element instanceof SchemaBuilder) {
+                definition[field] = element === value ? resolveNestedSchema(element) : [resolveNestedSchema(element)];
+                if (!(field in this.schemaDefinition)) {
+                    nested.push([field, element]);
+                }
+            } else {
+                definition[field] = value;
+            }
+        }
+        this._mergeFields(definition);
+        for (const [field, builder] of nested) {
+            this._nestIndexes(field, builder);
+        }
+        return this;
+    }
+
+    /**
+     * Add field definitions, refusing to redefine an existing field differently
+     * @param {Object} definition - Field definitions
+     */
+    _mergeFields(definition) {
+        for (const field of Object.keys(definition)) {
+            if (field in this.schemaDefinition && !sameDefinition(this.schemaDefinition[field], definition[field])) {
+                throw new Error(`Field "${field}" is already defined differently in this schema`);
+            }
+        }
+        Object.assign(this.schemaDefinition, definition);
+    }
+
+    /**
+     * Add a field restricted to a list of values.
+     * Numeric values produce a number field, anything else a string field.
+     * @param {string} fieldName - Field name
+     * @param {Array} values - Allowed values
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addEnum(fieldName, values, options = {}) {
+        if (!Array.isArray(values) || !values.length) {
+            throw new TypeError(`addEnum() expects a non-empty array of values for "${fieldName}"`);
+        }
+        const type = values.every(value => typeof value === 'number') ? Number : String;
+        this.schemaDefinition[fieldName] = { type, enum: values, ...options };
+        return this;
+    }
+
+    /**
+     * Add a Decimal128 field, for exact values such as money
+     * @param {string} fieldName - Field name
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addDecimal(fieldName, options = {}) {
+        this.schemaDefinition[fieldName] = { type: mongoose.Schema.Types.Decimal128, ...options };
+        return this;
+    }
+
+    /**
+     * Add a map field with arbitrary keys
+     * @param {string} fieldName - Field name
+     * @param {*} valueType - Type or definition of the map values
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addMap(fieldName, valueType, options = {}) {
+        this.schemaDefinition[fieldName] = { type: Map, of: valueType, ...options };
+        return this;
+    }
+
+    /**
+     * Add a field accepting any value
+     * @param {string} fieldName - Field name
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addMixed(fieldName, options = {}) {
+        this.schemaDefinition[fieldName] = { type: mongoose.Schema.Types.Mixed, ...options };
+        return this;
+    }
+
+    /**
+     * Add a binary data field
+     * @param {string} fieldName - Field name
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addBuffer(fieldName, options = {}) {
+        this.schemaDefinition[fieldName] = { type: Buffer, ...options };
+        return this;
+    }
+
+    /**
+     * Add a UUID field, stored as BSON binary subtype 4
+     * @param {string} fieldName - Field name
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addUUID(fieldName, options = {}) {
+        this.schemaDefinition[fieldName] = { type: mongoose.Schema.Types.UUID, ...options };
+        return this;
+    }
+
+    /**
+     * Add a reference to a document of another model, usable with populate()
+     * @param {string} fieldName - Field name
+     * @param {string} modelName - Name of the referenced model
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addRef(fieldName, modelName, options = {}) {
+        this.schemaDefinition[fieldName] = { type: mongoose.Schema.Types.ObjectId, ref: modelName, ...options };
+        return this;
+    }
+
+    /**
+     * Add a GeoJSON point field ({ type: 'Point', coordinates: [longitude, latitude] }).
+     * Pass { index: '2dsphere' } to index it for geospatial queries.
+     * @param {string} fieldName - Field name
+     * @param {Object} options - Field options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addGeoPoint(fieldName, options = {}) {
+        this.schemaDefinition[fieldName] = { type: createGeoPointSchema(), ...options };
+        return this;
+    }
+
+    /**
+     * Add timestamps (createdAt, updatedAt) to the schema
+     * @param {boolean} value - Whether to include timestamps
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    withTimestamps(value = true) {
+        this.schemaOptions.timestamps = value;
+        return this;
+    }
+
+    /**
+     * Set schema options
+     * @param {Object} options - Schema options
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    withOptions(options) {
+        this.schemaOptions = { ...this.schemaOptions, ...options };
+        return this;
+    }
+
+    /**
+     * Build the schema
+     * @returns {Object} Schema definition and options
+     */
+    build() {
+        return {
+            definition: this.schemaDefinition,
+            options: this.schemaOptions,
+            indexes: this.indexes
+        };
+    }
+
+    /**
+     * Declare an index
+     * @param {Object} fields - Index key, e.g. { email: 1 }, { title: 'text' } or { location: '2dsphere' }
+     * @param {Object} options - Index options (unique, sparse, partialFilterExpression, expireAfterSeconds, name, ...)
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addIndex(fields, options = {}) {
+        if (!isPlainObject(fields) || !Object.keys(fields).length) {
+            throw new TypeError('addIndex() expects an object of fields, e.g. { email: 1 }');
+        }
+        this.indexes.push({ fields, options });
+        return this;
+    }
+
+    /**
+     * Get every declared index, including those set with the index/unique options of a field
+     * @returns {Array<Object>} Indexes as { fields, options }
+     */
+    getIndexes() {
+        const fieldIndexes = [];
+        for (const [field, definition] of Object.entries(this.schemaDefinition)) {
+            if (!isPlainObject(definition) || !(definition.index || definition.unique)) {
+                continue;
+            }
+            const direction = typeof definition.index === 'number' || typeof definition.index === 'string'
+                ? definition.index
+                : 1;
+            const options = {};
+            if (definition.unique) {
+                options.unique = true;
+            }
+            if (definition.sparse) {
+                options.sparse = true;
+            }
+            fieldIndexes.push({ fields: { [field]: direction }, options });
+        }
+        return [...fieldIndexes, ...this.indexes, ...this.nestedIndexes];
+    }
+
+    /**
+     * Add a virtual property
+     * @param {string} name - Virtual name
+     * @param {Function|Object} definition - Getter, or { get, set } plus virtual options such as ref/localField/foreignField
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addVirtual(name, definition) {
+        const virtual = typeof definition === 'function' ? { get: definition } : { ...definition };
+        this.virtuals[name] = virtual;
+        return this;
+    }
+
+    /**
+     * Add an instance method to documents of the model
+     * @param {string} name - Method name
+     * @param {Function} fn - Method, called with the document as this
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addMethod(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError(`addMethod() expects a function for "${name}"`);
+        }
+        this.methods[name] = fn;
+        return this;
+    }
+
+    /**
+     * Add a static method to the model
+     * @param {string} name - Static name
+     * @param {Function} fn - Static, called with the model as this
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    addStatic(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError(`addStatic() expects a function for "${name}"`);
+        }
+        this.statics[name] = fn;
+        return this;
+    }
+
+    /**
+     * Register middleware that runs before a hook such as 'save', 'validate' or 'findOneAndUpdate'
+     * @param {string|RegExp|Array<string>} hook - Hook name(s)
+     * @param {Object|Function} options - Middleware options, or the middleware itself
+     * @param {Function} fn - Middleware
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    pre(hook, options, fn) {
+        return this._addHook('pre', hook, options, fn);
+    }
+
+    /**
+     * Register middleware that runs after a hook such as 'save', 'validate' or 'findOneAndUpdate'
+     * @param {string|RegExp|Array<string>} hook - Hook name(s)
+     * @param {Object|Function} options - Middleware options, or the middleware itself
+     * @param {Function} fn - Middleware
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    post(hook, options, fn) {
+        return this._addHook('post', hook, options, fn);
+    }
+
+    /**
+     * Record a middleware registration
+     * @param {string} kind - 'pre' or 'post'
+     * @param {string|RegExp|Array<string>} hook - Hook name(s)
+     * @param {Object|Function} options - Middleware options, or the middleware itself
+     * @param {Function} fn - Middleware
+     * @returns {SchemaBuilder} This instance for chaining
+     */
+    _addHook(kind, hook, options, fn) {
+        if (typeof options === 'function') {
+            fn = options;
+            options = undefined;
+        }
+        if (typeof fn !== 'function') {
+            throw new TypeError(`${kind}() expects a middleware function`);
+        }
+        this.hooks.push({ kind, hook, options, fn });
+        return this;
+    }
+
+    /**
+     * Build a Mongoose schema including the declared indexes, virtuals, methods, statics and middleware
+     * @returns {mongoose.Schema} Mongoose schema
+     */
+    toSchema() {
+        const schema = new mongoose.Schema(this.schemaDefinition, this.schemaOptions);
+        for (const { fields, options } of this.indexes) {
+            schema.index(fields, { ...options });
+        }
+        for (const [name, { get, set, ...options }] of Object.entries(this.virtuals)) {
+            const virtual = schema.virtual(name, options);
+            if (get) {
+                virtual.get(get);
+            }
+            if (set) {
+                virtual.set(set);
+            }
+        }
+        schema.method(this.methods);
+        schema.static(this.statics);
+        for (const { kind, hook, options, fn } of this.hooks) {
+            if (options) {
+                schema[kind](hook, options, fn);
+            } else {
+                schema[kind](hook, fn);
+            }
+        }
+        return schema;
+    }
+
+    /**
+     * Create a Mongoose model from the schema
+     * @param {string} modelName - Model name
+     * @param {MongoClient} client - MongoDB client instance
+     * @returns {Model} Mongoose model
+     */
+    createModel(modelName, client) {
+        return client.createModel(modelName, this.toSchema(), this.schemaOptions);
+    }
+
+    /**
+     * Convert the schema into a MongoDB $jsonSchema validator
+     * @returns {Object} $jsonSchema object
+     */
+    toJsonSchema() {
+        return addTimestampProperties(definitionToJsonSchema(this.schemaDefinition), this.schemaOptions.timestamps);
+    }
+}
+
+/**
+ * Page size used by Repository.paginate() when none is given
+ */
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Throw when a pagination option is not a positive integer
+ * @param {*} value - Value to check
+ * @param {string} name - Option name, for the error message
+ */
+function assertPositiveInteger(value, name) {
+    if (!Number.isInteger(value) || value < 1) {
+        throw new RangeError(`${name} must be a positive integer, got ${value}`);
+    }
+}
+
+/**
+ * Read a possibly nested value using dot notation
+ * @param {Object} object - Source object
+ * @param {string} path - Dot separated path
+ * @returns {*} Value at the path, or undefined
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+/**
+ * Check whether a possibly nested path is present using dot notation
+ * @param {Object} object - Source object
+ * @param {string} path - Dot separated path
+ * @returns {boolean} True when the last key of the path exists
+ */
+function hasPath(object, path) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.length ? getPath(object, keys.join('.')) : object;
+    return parent !== null && typeof parent === 'object' && last in parent;
+}
+
+/**
+ * Normalize a sort specification into [field, direction] pairs
+ * @param {Object|Array|string} sort - Sort specification, e.g. { createdAt: -1 }, [['createdAt', -1]] or '-createdAt name'
+ * @returns {Array<Array>} Sort keys with directions 1 or -1
+ */
+function normalizeSort(sort = {}) {
+    if (typeof sort === 'string') {
+        sort = parseFieldSpec(sort, -1);
+    }
+    const entries = Array.isArray(sort) ? sort : Object.entries(sort);
+    return entries.map(([field, direction]) => {
+        const descending = direction === -1 || direction === 'desc' || direction === 'descending';
+        return [field, descending ? -1 : 1];
+    });
+}
+
+/**
+ * Encode the position of a document as an opaque keyset cursor
+ * @param {Array<Array>} sortKeys - Normalized sort keys
+ * @param {Object} document - Last document of the page
+ * @returns {string} Base64 encoded cursor
+ */
+function encodeCursor(sortKeys, document) {
+    const payload = {
+        keys: sortKeys.map(([field]) => field),
+        values: sortKeys.map(([field]) => getPath(document, field))
+    };
+    return Buffer.from(EJSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a keyset cursor and check it matches the requested sort
+ * @param {string} cursor - Cursor returned by a previous page
+ * @param {Array<Array>} sortKeys - Normalized sort keys
+ * @returns {Array} Sort key values of the last document of the previous page
+ */
+function decodeCursor(cursor, sortKeys) {
+    let payload;
+    try {
+        payload = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid pagination cursor');
+    }
+    const fields = sortKeys.map(([field]) => field);
+    if (!payload || !Array.isArray(payload.values) || JSON.stringify(payload.keys) !== JSON.stringify(fields)) {
+        throw new Error('Pagination cursor does not match the requested sort');
+    }
+    return payload.values;
+}
+
+/**
+ * Build the filter selecting documents after a keyset position
+ * @param {Array<Array>} sortKeys - Normalized sort keys
+ * @param {Array} values - Sort key values of the last seen document
+ * @returns {Object} Filter
+ */
+function buildKeysetFilter(sortKeys, values) {
+    const branches = sortKeys.map(([field, direction], index) => {
+        const branch = {};
+        for (let i = 0; i < index; i++) {
+            branch[sortKeys[i][0]] = values[i];
+        }
+        branch[field] = { [direction === 1 ? '$gt' : '$lt']: values[index] };
+        return branch;
+    });
+    return branches.length === 1 ? branches[0] : { $or: branches };
+}
+
+/**
+ * Resolve the versioning repository option
+ * @param {boolean|Object} versioning - true, or { field } to use a field other than __v
+ * @returns {Object|null} Versioning settings, or null when disabled
+ */
+function resolveVersioning(versioning) {
+    if (!versioning) {
+        return null;
+    }
+    return { field: '__v', ...(typeof versioning === 'object' ? versioning : {}) };
+}
+
+/**
+ * Number of documents an audited multi-document write snapshots and changes at a time
+ */
+const DEFAULT_AUDIT_BATCH_SIZE = 500;
+
+/**
+ * Add the counts of a write result to a running total
+ * @param {Object|null} total - Running total, or null for the first result
+ * @param {Object} result - Write result, e.g. { acknowledged, matchedCount, modifiedCount }
+ * @returns {Object} Updated total
+ */
+function mergeWriteResult(total, result) {
+    if (!total) {
+        return { ...result };
+    }
+    for (const [key, value] of Object.entries(result)) {
+        if (typeof value === 'number' && typeof total[key] === 'number') {
+            total[key] += value;
+        } else if (total[key] === undefined || total[key] === null) {
+            total[key] = value;
+        }
+    }
+    return total;
+}
+
+/**
+ * Resolve the audit repository option
+ * @param {boolean|Object} audit - true, or { collection, actor, diff, batchSize }
+ * @param {string} collectionName - Audited collection name
+ * @returns {Object|null} Audit settings, or null when disabled
+ */
+function resolveAudit(audit, collectionName) {
+    if (!audit) {
+        return null;
+    }
+    return {
+        collection: `${collectionName}_history`,
+        actor: null,
+        diff: false,
+        batchSize: DEFAULT_AUDIT_BATCH_SIZE,
+        ...(typeof audit === 'object' ? audit : {})
+    };
+}
+
+/**
+ * Compute the top-level fields that differ between two versions of a document
+ * @param {Object|null} before - Document before the change
+ * @param {Object|null} after - Document after the change
+ * @returns {Object} Changed fields as { field: { from, to } }, missing values being null
+ */
+function diffDocuments(before, after) {
+    const diff = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        const from = before && field in before ? before[field] : null;
+        const to = after && field in after ? after[field] : null;
+        if (!isDeepStrictEqual(from, to)) {
+            diff[field] = { from, to };
+        }
+    }
+    return diff;
+}
+
+/**
+ * Built-in id strategies.
+ * parse() returns the stored form of an id, or undefined when the value is not a valid id;
+ * generate(), when present, creates the id of new documents that have none.
+ */
+const ID_STRATEGIES = {
+    objectId: {
+        expected: 'an ObjectId or a 24 character hex string',
+        parse(value) {
+            if (value instanceof mongoose.Types.ObjectId) {
+                return value;
+            }
+            if (typeof value === 'string' && /^[0-9a-f]{24}$/i.test(value)) {
+                return new mongoose.Types.ObjectId(value);
+            }
+            return undefined;
+        }
+    },
+    string: {
+        expected: 'a non-empty string',
+        parse(value) {
+            return typeof value === 'string' && value.length ? value : undefined;
+        },
+        generate() {
+            return new mongoose.Types.ObjectId().toHexString();
+        }
+    },
+    uuid: {
+        expected: 'a UUID or a UUID string',
+        parse(value) {
+            if (value instanceof mongoose.mongo.BSON.Binary && value.sub_type === UUID.SUBTYPE_UUID) {
+                return value instanceof UUID ? value : value.toUUID();
+            }
+            if (typeof value === 'string' && UUID.isValid(value)) {
+                return new UUID(value);
+            }
+            return undefined;
+        },
+        generate() {
+            return new UUID();
+        }
+    },
+    number: {
+        expected: 'an integer or a string of digits',
+        parse(value) {
+            if (Number.isSafeInteger(value)) {
+                return value;
+            }
+            if (typeof value === 'string' && /^-?\d+$/.test(value) && Number.isSafeInteger(Number(value))) {
+                return Number(value);
+            }
+            return undefined;
+        }
+    }
+};
+
+/**
+ * Resolve the idStrategy repository option
+ * @param {string|Object} idStrategy - Built-in strategy name, or { parse, generate } functions
+ * @returns {Object} Strategy with name, expected, parse and optional generate
+ */
+function resolveIdStrategy(idStrategy = 'objectId') {
+    if (typeof idStrategy === 'string') {
+        if (!ID_STRATEGIES[idStrategy]) {
+            throw new TypeError(
+                `Unknown id strategy "${idStrategy}", expected one of: ${Object.keys(ID_STRATEGIES).join(', ')}`
+            );
+        }
+        return { name: idStrategy, ...ID_STRATEGIES[idStrategy] };
+    }
+    if (!idStrategy || typeof idStrategy.parse !== 'function') {
+        throw new TypeError('A custom id strategy needs a parse(value) function');
+    }
+    return { name: 'custom', expected: null, ...idStrategy };
+}
+
+/**
+ * Build a key identifying an ID, so IDs of any BSON type can be compared
+ * @param {*} id - Document ID
+ * @returns {string} Comparable key
+ */
+function idKey(id) {
+    return EJSON.stringify(id, { relaxed: false });
+}
+
+const REPOSITORY_HOOK_OPERATIONS = ['create', 'update', 'delete', 'find'];
+
+/**
+ * Resolve the softDelete repository option
+ * @param {boolean|Object} softDelete - true, or { field } to use a custom field name
+ * @returns {Object|null} Soft delete settings, or null when disabled
+ */
+function resolveSoftDelete(softDelete) {
+    if (!softDelete) {
+        return null;
+    }
+    return { field: 'deletedAt', ...(typeof softDelete === 'object' ? softDelete : {}) };
+}
+
+/**
+ * Resolve a timestamps setting, as accepted by Mongoose schemas, into field names
+ * @param {boolean|Object} timestamps - true, or { createdAt, updatedAt } with custom names (false disables a field)
+ * @returns {Object|null} { createdAt, updatedAt } field names (null when a field is disabled), or null when disabled
+ */
+function resolveTimestamps(timestamps) {
+    if (!timestamps) {
+        return null;
+    }
+    const names = typeof timestamps === 'object' ? timestamps : {};
+    const fieldName = (value, fallback) => {
+        if (value === false) {
+            return null;
+        }
+        return typeof value === 'string' ? value : fallback;
+    };
+    return {
+        createdAt: fieldName(names.createdAt, 'createdAt'),
+        updatedAt: fieldName(names.updatedAt, 'updatedAt')
+    };
+}
+
+/**
+ * Check whether an error means a queued bulk operation is invalid, rather than that the bulk write failed
+ * @param {Error} error - Error thrown while preparing the operation
+ * @returns {boolean} Whether the error belongs to the operation
+ */
+function isInvalidOperationError(error) {
+    return error instanceof ValidationError || error instanceof InvalidIdError || error instanceof TypeError;
+}
+
+/**
+ * Bulk Write Builder class
+ * Collects repository writes and sends them with a single bulkWrite call.
+ * Writes are validated, timestamped and versioned like their Repository counterparts;
+ * upserts are reported as invalid on versioned repositories, as one operation cannot version them.
+ * Repository hooks and auditing cannot run for them, so bulk writes are refused on
+ * repositories that audit writes or have create, update or delete hooks.
+ */
+class BulkWriteBuilder {
+    /**
+     * Create a new bulk write builder
+     * @param {Repository} repository - Repository the writes apply to
+     */
+    constructor(repository) {
+        this.repository = repository;
+        this.steps = [];
+    }
+
+    /**
+     * Number of queued operations
+     * @returns {number} Operation count
+     */
+    get length() {
+        return this.steps.length;
+    }
+
+    /**
+     * Queue a document insertion
+     * @param {Object} data - Document data
+     * @returns {BulkWriteBuilder} This instance for chaining
+     */
+    insert(data) {
+        this.steps.push({ type: 'insert', data });
+        return this;
+    }
+
+    /**
+     * Queue an update of the first document matching the criteria
+     * @param {Object} criteria - Search criteria
+     * @param {Object} data - Fields to set, or update operators
+     * @param {Object} options - Update options, such as upsert
+     * @returns {BulkWriteBuilder} This instance for chaining
+     */
+    updateOne(criteria, data, options = {}) {
+        this.steps.push({ type: 'updateOne', criteria, data, options });
+        return this;
+    }
+
+    /**
+     * Queue an update of the document matching the criteria, inserting it when none matches
+     * @param {Object} criteria - Search criteria
+     * @param {Object} data - Fields to set, or update operators
+     * @returns {BulkWriteBuilder} This instance for chaining
+     */
+    upsert(criteria, data) {
+        return this.updateOne(criteria, data, { upsert: true });
+    }
+
+    /**
+     * Queue the deletion of the first document matching the criteria.
+     * With soft delete enabled the document is only marked as deleted, counted in modifiedCount.
+     * @param {Object} criteria - Search criteria
+     * @returns {BulkWriteBuilder} This instance for chaining
+     */
+    deleteOne(criteria) {
+        this.steps.push({ type: 'deleteOne', criteria });
+        return this;
+    }
+
+    /**
+     * Validate and send the queued operations.
+     * Operations that fail validation, carry an invalid ID or mix update operators with fields are
+     * reported in `errors` like failed writes; with ordered writes, nothing after the first failure is written.
+     * @param {Object} options - Bulk write options, including ordered (default true) and batchSize
+     * @returns {Promise<Object>} Merged bulk write result keyed by the order operations were queued in
+     */
+    async execute(options = {}) {
+        this.repository._assertBulkAllowed();
+        const { ordered = true } = options;
+        const operations = [];
+        const indexes = [];
+        const invalid = {};
+        for (const [index, step] of this.steps.entries()) {
+            try {
+                operations.push(await this.repository._bulkOperation(step));
+                indexes.push(index);
+            } catch (error) {
+                if (!isInvalidOperationError(error)) {
+                    throw error;
+                }
+                invalid[index] = { code: null, message: error.message, operation: step };
+                if (error instanceof ValidationError) {
+                    invalid[index].errors = error.errors;
+                }
+                if (ordered) {
+                    break;
+                }
+            }
+        }
+
+        const result = emptyBulkResult();
+        if (operations.length) {
+            const written = await this.repository.client.bulkWrite(
+                this.repository.collectionName,
+                operations,
+                { ...options, ordered }
+            );
+            mergeBulkResult(result, written, index => indexes[index]);
+            for (const [index, error] of Object.entries(written.errors)) {
+                result.errors[indexes[index]] = error;
+            }
+        }
+        if (!ordered || !Object.keys(result.errors).length) {
+            Object.assign(result.errors, invalid);
+        }
+        result.ok = Object.keys(result.errors).length === 0;
+        return result;
+    }
+}
+
+/**
+ * Parse a space separated field list such as 'name -createdAt' into { field: 1 | -1 } entries
+ * @param {string|Array|Object} spec - Field list string, array of fields or specification object
+ * @param {number} negative - Value given to fields prefixed with '-'
+ * @returns {Object} Specification object
+ */
+function parseFieldSpec(spec, negative) {
+    if (isPlainObject(spec)) {
+        return { ...spec };
+    }
+    const fields = Array.isArray(spec) ? spec : String(spec).split(/\s+/).filter(Boolean);
+    return Object.fromEntries(fields.map(field => (
+        field.startsWith('-') ? [field.slice(1), negative] : [field.replace(/^\+/, ''), 1]
+    )));
+}
+
+/**
+ * Query Builder class
+ * Builds a filter and find options fluently and runs them through a Repository,
+ * so soft delete scoping and find hooks apply.
+ */
+class QueryBuilder {
+    /**
+     * Create a new query builder
+     * @param {Repository} repository - Repository to run the query against
+     * @param {Object} criteria - Initial criteria
+     */
+    constructor(repository, criteria = {}) {
+        this.repository = repository;
+        this.conditions = { ...criteria };
+        this.orGroups = [];
+        this.options = {};
+        this.path = null;
+    }
+
+    /**
+     * Select the field the next operators apply to, or add criteria.
+     * where('age').gte(18), where('status', 'active') and where({ status: 'active' }) are all accepted.
+     * @param {string|Object} path - Field path, or criteria object
+     * @param {*} value - Value the field must equal
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    where(path, value) {
+        if (isPlainObject(path)) {
+            Object.assign(this.conditions, path);
+            this.path = null;
+            return this;
+        }
+        this.path = path;
+        if (arguments.length >= 2) {
+            this.conditions[path] = value;
+        }
+        return this;
+    }
+
+    /**
+     * Add an operator condition on the current field
+     * @param {string} operator - Query operator, e.g. $gte
+     * @param {*} value - Operand
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    _condition(operator, value) {
+        if (!this.path) {
+            throw new Error(`Call where(path) before using ${operator}`);
+        }
+        const existing = this.conditions[this.path];
+        const isOperatorObject = isPlainObject(existing) && Object.keys(existing).every(key => key.startsWith('$'));
+        this.conditions[this.path] = { ...(isOperatorObject ? existing : {}), [operator]: value };
+        return this;
+    }
+
+    /**
+     * Require the current field to equal a value
+     * @param {*} value - Value
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    equals(value) {
+        return this._condition('$eq', value);
+    }
+
+    /**
+     * Require the current field to differ from a value
+     * @param {*} value - Value
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    ne(value) {
+        return this._condition('$ne', value);
+    }
+
+    /**
+     * Require the current field to be greater than a value
+     * @param {*} value - Value
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    gt(value) {
+        return this._condition('$gt', value);
+    }
+
+    /**
+     * Require the current field to be greater than or equal to a value
+     * @param {*} value - Value
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    gte(value) {
+        return this._condition('$gte', value);
+    }
+
+    /**
+     * Require the current field to be less than a value
+     * @param {*} value - Value
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    lt(value) {
+        return this._condition('$lt', value);
+    }
+
+    /**
+     * Require the current field to be less than or equal to a value
+     * @param {*} value - Value
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    lte(value) {
+        return this._condition('$lte', value);
+    }
+
+    /**
+     * Require the current field to be one of the given values
+     * @param {Array} values - Allowed values
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    in(values) {
+        return this._condition('$in', values);
+    }
+
+    /**
+     * Require the current field to be none of the given values
+     * @param {Array} values - Excluded values
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    nin(values) {
+        return this._condition('$nin', values);
+    }
+
+    /**
+     * Require the current field to match a regular expression
+     * @param {RegExp|string} pattern - Regular expression or pattern
+     * @param {string} flags - Regular expression options when the pattern is a string, e.g. 'i'
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    regex(pattern, flags) {
+        this._condition('$regex', pattern);
+        if (flags) {
+            this._condition('$options', flags);
+        }
+        return this;
+    }
+
+    /**
+     * Check whether any document matches or, given a boolean, require the current field to be
+     * present or absent. Without an argument this runs the query: use where(path).exists(true)
+     * for an $exists condition.
+     * @param {boolean} value - Whether the current field must exist
+     * @returns {Promise<boolean>|QueryBuilder} Whether a document matches, or this instance for chaining
+     */
+    exists(value) {
+        if (value === undefined) {
+            return this._matchesAny();
+        }
+        if (typeof value !== 'boolean') {
+            throw new TypeError(`exists() expects a boolean, got ${typeof value}`);
+        }
+        return this._condition('$exists', value);
+    }
+
+    /**
+     * Require at least one of the given criteria to match.
+     * Each call adds a group; groups from separate calls must all match.
+     * @param {...(Object|QueryBuilder)} criteria - Alternative criteria or query builders
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    or(...criteria) {
+        const branches = criteria.flat().map(branch => (branch instanceof QueryBuilder ? branch.getFilter() : branch));
+        if (!branches.length) {
+            throw new TypeError('or() expects at least one criteria object');
+        }
+        this.orGroups.push(branches);
+        this.path = null;
+        return this;
+    }
+
+    /**
+     * Choose the returned fields
+     * @param {string|Array|Object} fields - 'name email', '-password', ['name'] or a projection object
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    select(fields) {
+        this.options.projection = { ...this.options.projection, ...parseFieldSpec(fields, 0) };
+        return this;
+    }
+
+    /**
+     * Sort the results
+     * @param {string|Object} spec - 'name -createdAt' or { name: 1, createdAt: -1 }
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    sort(spec) {
+        const sort = Object.fromEntries(normalizeSort(parseFieldSpec(spec, -1)));
+        this.options.sort = { ...this.options.sort, ...sort };
+        return this;
+    }
+
+    /**
+     * Skip a number of results
+     * @param {number} count - Results to skip
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    skip(count) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new RangeError(`skip must be a non-negative integer, got ${count}`);
+        }
+        this.options.skip = count;
+        return this;
+    }
+
+    /**
+     * Limit the number of results
+     * @param {number} count - Maximum number of results
+     * @returns {QueryBuilder} This instance for chaining
      */
-    constructor(dbName = 'default', connectionOptions = {}) {
-        this.dbName = dbName;
-        this.connectionOptions = {
-            useNewUrlParser: true,
-            useUnifiedTopology: true,
-            ...connectionOptions
-        };
+    limit(count) {
+        assertPositiveInteger(count, 'limit');
+        this.options.limit = count;
+        return this;
     }
 
     /**
-     * Generate a MongoDB connection string
-     * @param {string} host - MongoDB host
-     * @param {number} port - MongoDB port
-     * @param {string} username - MongoDB username (optional)
-     * @param {string} password - MongoDB password (optional)
-     * @returns {string} MongoDB connection string
+     * Force the index used by the query
+     * @param {string|Object} index - Index name or key
+     * @returns {QueryBuilder} This instance for chaining
      */
-    getConnectionString(host = 'localhost', port = 27017, username = '', password = '') {
-        if (username && password) {
-            return `mongodb://${username}:${password}@${host}:${port}/${this.dbName}`;
+    hint(index) {
+        this.options.hint = index;
+        return this;
+    }
+
+    /**
+     * Set the collation used for string comparison
+     * @param {Object} collation - Collation, e.g. { locale: 'en', strength: 2 }
+     * @returns {QueryBuilder} This instance for chaining
+     */
+    collation(collation) {
+        this.options.collation = collation;
+        return this;
+    }
+
+    /**
+     * Compile the filter
+     * @returns {Object} Query filter
+     */
+    getFilter() {
+        const filter = { ...this.conditions };
+        if (this.orGroups.length === 1 && !filter.$or) {
+            filter.$or = this.orGroups[0];
+        } else if (this.orGroups.length) {
+            filter.$and = [...(filter.$and || []), ...this.orGroups.map(branches => ({ $or: branches }))];
         }
-        return `mongodb://${host}:${port}/${this.dbName}`;
+        return filter;
     }
 
     /**
-     * Generate a MongoDB Atlas connection string
-     * @param {string} username - MongoDB Atlas username
-     * @param {string} password - MongoDB Atlas password
-     * @param {string} cluster - MongoDB Atlas cluster address
-     * @param {Object} options - Connection string options
-     * @returns {string} MongoDB Atlas connection string
+     * Compile the find options
+     * @returns {Object} Find options
      */
-    getAtlasConnectionString(username, password, cluster, options = {}) {
-        const optionsStr = Object.entries(options)
-            .map(([key, value]) => `${key}=${value}`)
-            .join('&');
-        
-        return `mongodb+srv://${username}:${password}@${cluster}/${this.dbName}${optionsStr ? `?${optionsStr}` : ''}`;
+    getOptions() {
+        return { ...this.options };
+    }
+
+    /**
+     * Compile the query
+     * @returns {Object} { filter, options }
+     */
+    toQuery() {
+        return { filter: this.getFilter(), options: this.getOptions() };
+    }
+
+    /**
+     * Compile the filter into an aggregation $match stage
+     * @returns {Object} $match stage
+     */
+    toMatch() {
+        return { $match: this.getFilter() };
+    }
+
+    /**
+     * Run the query
+     * @returns {Promise<Array>} Matching documents
+     */
+    async exec() {
+        return await this.repository.find(this.getFilter(), this.getOptions());
+    }
+
+    /**
+     * Run the query for its first result
+     * @returns {Promise<Object|null>} First matching document, or null
+     */
+    async first() {
+        const { limit, ...options } = this.getOptions();
+        return await this.repository.findOne(this.getFilter(), options);
+    }
+
+    /**
+     * Count the matching documents, ignoring skip, limit, sort and projection
+     * @returns {Promise<number>} Document count
+     */
+    async count() {
+        const { hint, collation } = this.options;
+        const options = {};
+        if (hint !== undefined) {
+            options.hint = hint;
+        }
+        if (collation !== undefined) {
+            options.collation = collation;
+        }
+        return await this.repository.count(this.getFilter(), options);
+    }
+
+    /**
+     * Check whether any document matches
+     * @returns {Promise<boolean>} Whether a document matches
+     */
+    async _matchesAny() {
+        const { hint, collation } = this.options;
+        const options = { projection: { _id: 1 } };
+        if (hint !== undefined) {
+            options.hint = hint;
+        }
+        if (collation !== undefined) {
+            options.collation = collation;
+        }
+        return (await this.repository.findOne(this.getFilter(), options)) !== null;
     }
 }
 
 /**
- * MongoDB Client class
- * Handles database connections and operations
+ * Repository class
+ * Provides a higher-level interface for working with a specific collection
  */
-class MongoClient {
+class Repository {
     /**
-     * Create a new MongoDB client
-     * @param {string} connStr - MongoDB connection string
+     * Create a new repository
+     * @param {MongoClient} client - MongoDB client instance
+     * @param {string} collectionName - Collection name
+     * @param {Object} options - Repository options
+     * @param {boolean|Object} options.softDelete - Mark documents as deleted instead of removing them;
+     *                                              pass { field } to use a field other than deletedAt
+     * @param {string|SchemaBuilder|Model} options.model - Model name registered on the client, SchemaBuilder
+     *                                                     or Mongoose model used to validate and cast writes
+     * @param {string} options.modelName - Name to register a SchemaBuilder model under (defaults to the collection name)
+     * @param {boolean|Object} options.timestamps - Maintain createdAt/updatedAt; pass { createdAt, updatedAt } to rename
+     *                                              them. Defaults to the setting of the bound schema, otherwise updates only set updatedAt
+     * @param {string|Object} options.idStrategy - Type of document IDs: 'objectId' (default), 'string', 'uuid',
+     *                                             'number', or { parse, generate } functions
+     * @param {Function} options.clock - Returns the current Date, used for timestamps and soft delete markers
+     * @param {boolean|Object} options.versioning - Keep a version number on each document, incremented by every update;
+     *                                              pass { field } to use a field other than __v
+     * @param {boolean|Object} options.audit - Record every write in a history collection; pass an object to configure:
+     * @param {string} options.audit.collection - History collection (defaults to `<collection>_history`)
+     * @param {*|Function} options.audit.actor - Actor recorded with each entry, or a function resolving it
+     * @param {boolean} options.audit.diff - Record the changed fields instead of before/after snapshots
+     * @param {number} options.audit.batchSize - Documents snapshotted and written at a time by multi-document writes
      */
-    constructor(connStr) {
-        this.connStr = connStr;
-        this.isConnected = false;
-        this.models = new Map();
+    constructor(client, collectionName, options = {}) {
+        this.client = client;
+        this.collectionName = collectionName;
+        this.options = options;
+        this.softDelete = resolveSoftDelete(options.softDelete);
+        this.clock = options.clock || (() => new Date());
+        this.idStrategy = resolveIdStrategy(options.idStrategy);
+        this.versioning = resolveVersioning(options.versioning);
+        this.audit = resolveAudit(options.audit, collectionName);
+        this.model = null;
+        this.hooks = { before: {}, after: {} };
+        for (const operation of REPOSITORY_HOOK_OPERATIONS) {
+            this.hooks.before[operation] = [];
+            this.hooks.after[operation] = [];
+        }
     }
 
     /**
-     * Connect to MongoDB
-     * @returns {Promise<boolean>} Connection success
+     * Register a hook that runs before an operation.
+     * Hooks receive a context ({ operation, data, filter, options }) they may modify, and run in
+     * registration order before validation. Throwing (or rejecting) aborts the operation.
+     * 'find' hooks run for every read (find, findOne, count, paginate, aggregate, iterate and the
+     * soft-delete reads); `context.method` names the read, and aggregations also expose `context.pipeline`.
+     * @param {string} operation - 'create', 'update', 'delete' or 'find'
+     * @param {Function} fn - Hook, may be async
+     * @returns {Repository} This instance for chaining
      */
-    async connect() {
-        try {
-            await mongoose.connect(this.connStr, {
-                useNewUrlParser: true,
-                useUnifiedTopology: true
-            });
-            this.isConnected = true;
-            console.log('Connected to MongoDB');
-            return true;
-        } catch (error) {
-            console.error('MongoDB connection error:', error);
-            this.isConnected = false;
-            return false;
+    before(operation, fn) {
+        return this._addHook('before', operation, fn);
+    }
+
+    /**
+     * Register a hook that runs after an operation succeeded.
+     * The context additionally holds the result, which the hook may replace.
+     * 'find' hooks only run after reads that return documents: find, findOne, findWithDeleted and findOnlyDeleted.
+     * @param {string} operation - 'create', 'update', 'delete' or 'find'
+     * @param {Function} fn - Hook, may be async
+     * @returns {Repository} This instance for chaining
+     */
+    after(operation, fn) {
+        return this._addHook('after', operation, fn);
+    }
+
+    /**
+     * Record a hook
+     * @param {string} stage - 'before' or 'after'
+     * @param {string} operation - Operation name
+     * @param {Function} fn - Hook
+     * @returns {Repository} This instance for chaining
+     */
+    _addHook(stage, operation, fn) {
+        if (!REPOSITORY_HOOK_OPERATIONS.includes(operation)) {
+            throw new TypeError(
+                `Unknown repository operation "${operation}", expected one of: ${REPOSITORY_HOOK_OPERATIONS.join(', ')}`
+            );
         }
+        if (typeof fn !== 'function') {
+            throw new TypeError(`${stage}() expects a hook function`);
+        }
+        this.hooks[stage][operation].push(fn);
+        return this;
     }
 
     /**
-     * Disconnect from MongoDB
+     * Run the hooks of a stage one after the other
+     * @param {string} stage - 'before' or 'after'
+     * @param {Object} context - Operation context
      * @returns {Promise<void>}
      */
-    async disconnect() {
-        if (this.isConnected) {
-            await mongoose.disconnect();
-            this.isConnected = false;
-            console.log('Disconnected from MongoDB');
+    async _runHooks(stage, context) {
+        for (const hook of this.hooks[stage][context.operation]) {
+            await hook.call(this, context);
         }
     }
 
     /**
-     * Get connection status
-     * @returns {Object} Connection status
+     * Run an operation between its before and after hooks
+     * @param {string} operation - Operation name
+     * @param {Object} context - Initial context (data, filter, options)
+     * @param {Function} action - Receives the context once before hooks ran and resolves to the result
+     * @returns {Promise<*>} Result, as left by the after hooks
      */
-    getConnectionStatus() {
+    async _withHooks(operation, context, action) {
+        context = { operation, ...context };
+        await this._runHooks('before', context);
+        context.result = await action(context);
+        await this._runHooks('after', context);
+        return context.result;
+    }
+
+    /**
+     * Run the before 'find' hooks of a read whose result is not a list of documents
+     * @param {string} method - Read method, e.g. 'count'
+     * @param {Object} context - Initial context (filter, options, pipeline)
+     * @returns {Promise<Object>} Context as left by the hooks
+     */
+    async _beforeRead(method, context) {
+        context = { operation: 'find', method, ...context };
+        await this._runHooks('before', context);
+        return context;
+    }
+
+    /**
+     * Build an aggregation pipeline from a read context, matching the filter left by the hooks first
+     * @param {Object} context - Read context with filter and pipeline
+     * @returns {Array} Aggregation pipeline
+     */
+    _readPipeline({ filter, pipeline }) {
+        const scoped = Object.keys(filter).length ? [{ $match: filter }, ...pipeline] : pipeline;
+        return this._scopePipeline(scoped);
+    }
+
+    /**
+     * Stream a read once its before 'find' hooks ran
+     * @param {string} method - Read method, e.g. 'iterate'
+     * @param {Object} context - Initial context
+     * @param {Function} open - Receives the context and returns the stream to read from
+     * @returns {Readable} Object mode stream
+     */
+    _streamRead(method, context, open) {
+        const repository = this;
+        async function* documents() {
+            yield* open(await repository._beforeRead(method, context));
+        }
+        return Readable.from(documents());
+    }
+
+    /**
+     * Resolve the Mongoose model writes are validated against
+     * @returns {Model|null} Mongoose model, or null when the repository is not bound to one
+     */
+    getModel() {
+        const { model, modelName } = this.options;
+        if (!model) {
+            return null;
+        }
+        if (!this.model) {
+            if (model instanceof SchemaBuilder) {
+                this.model = model.createModel(modelName || this.collectionName, this.client);
+            } else if (typeof model === 'string') {
+                this.model = this.client.getModel(model);
+                if (!this.model) {
+                    throw new Error(`Model "${model}" is not registered on this client`);
+                }
+            } else {
+                this.model = model;
+            }
+        }
+        return this.model;
+    }
+
+    /**
+     * Resolve the timestamp fields maintained by the repository.
+     * Without a timestamps option or a bound model, only updatedAt is maintained, and only by updates.
+     * @returns {Object|null} { createdAt, updatedAt } field names, or null when timestamps are disabled
+     */
+    getTimestamps() {
+        const setting = this._timestampsSetting();
+        return setting === undefined ? { createdAt: null, updatedAt: 'updatedAt' } : resolveTimestamps(setting);
+    }
+
+    /**
+     * Read the timestamps setting from the repository options, or else from the bound model
+     * @returns {boolean|Object|undefined} timestamps setting, or undefined when none is configured
+     */
+    _timestampsSetting() {
+        const { timestamps, model } = this.options;
+        if (timestamps !== undefined) {
+            return timestamps;
+        }
+        if (model instanceof SchemaBuilder) {
+            return model.schemaOptions.timestamps;
+        }
+        const Model = this.getModel();
+        return Model ? Model.schema.options.timestamps : undefined;
+    }
+
+    /**
+     * Add timestamps and the initial version to a document about to be inserted.
+     * Values already present in the document are kept.
+     * @param {Object} document - Document to insert
+     * @returns {Object} Document with timestamps and version
+     */
+    _stampInsert(document) {
+        const timestamps = this._timestampsSetting() === undefined ? null : this.getTimestamps();
+        const stamped = { ...document };
+        if (timestamps) {
+            const now = this.clock();
+            for (const field of [timestamps.createdAt, timestamps.updatedAt]) {
+                if (field && stamped[field] === undefined) {
+                    stamped[field] = now;
+                }
+            }
+        }
+        if (this.versioning && stamped[this.versioning.field] === undefined) {
+            stamped[this.versioning.field] = 0;
+        }
+        return stamped;
+    }
+
+    /**
+     * Add timestamps and a version increment to an update document: updatedAt is set, createdAt is set
+     * on insert for upserts and the version is incremented, or set to 0 on insert for upserts.
+     * Values the update already sets are kept.
+     * @param {Object} update - Update document with operators
+     * @param {Object} options - Update options
+     * @returns {Object} Update document with timestamps and version
+     */
+    _stampUpdate(update, options = {}) {
+        const timestamps = this.getTimestamps();
+        const stamped = { ...update };
+        if (timestamps) {
+            const now = this.clock();
+            if (timestamps.updatedAt) {
+                stamped.$set = { [timestamps.updatedAt]: now, ...update.$set };
+            }
+            const { createdAt } = timestamps;
+            if (options.upsert && createdAt && !(update.$set && createdAt in update.$set)) {
+                stamped.$setOnInsert = { [createdAt]: now, ...update.$setOnInsert };
+            }
+        }
+        if (this.versioning) {
+            const { field } = this.versioning;
+            const setsVersion = Object.values(update).some(fields => isPlainObject(fields) && field in fields);
+            if (setsVersion) {
+                return stamped;
+            }
+            if (options.upsert) {
+                stamped.$setOnInsert = { ...stamped.$setOnInsert, [field]: 0 };
+            } else {
+                stamped.$inc = { ...update.$inc, [field]: 1 };
+            }
+        }
+        return stamped;
+    }
+
+    /**
+     * Stamp an update document for updating matched documents and, when the options upsert, for inserting
+     * @param {Object} update - Update document with operators
+     * @param {Object} options - Update options
+     * @returns {Object} { update, upsert } stamped update documents, upsert being null without the upsert option
+     */
+    _stampUpdates(update, options) {
         return {
-            isConnected: this.isConnected,
-            connectionString: this.connStr.replace(/\/\/(.+?)@/, '//***@') // Hide credentials in logs
+            update: this._stampUpdate(update),
+            upsert: options.upsert ? this._stampUpdate(update, options) : null
         };
     }
 
     /**
-     * Get a MongoDB collection
-     * @param {string} collectionName - Collection name
-     * @returns {Promise<Collection>} MongoDB collection
+     * Perform an update that may upsert.
+     * With versioning, a single write cannot both increment the version of a matched document and
+     * start an inserted one at 0, so matching documents are updated first and the upsert only runs
+     * when none matched. The upsert skips versioned documents, so one inserted concurrently in
+     * between is not changed without its version being incremented.
+     * @param {Object} filter - Filter of the write
+     * @param {Object} updates - Stamped update documents, from _stampUpdates()
+     * @param {Object} options - Update options
+     * @param {Function} write - Receives the filter, update document and options, and performs the write
+     * @param {Function} matched - Tells from a write result whether a document matched
+     * @returns {Promise<*>} Write result
      */
-    async getCollection(collectionName) {
-        if (!this.isConnected) {
-            await this.connect();
+    async _writeUpdate(filter, updates, options, write, matched) {
+        if (!options.upsert) {
+            return await write(filter, updates.update, options);
+        }
+        if (!this.versioning) {
+            return await write(filter, updates.upsert, options);
         }
-        return mongoose.connection.db.collection(collectionName);
+        const result = await write(filter, updates.update, { ...options, upsert: false });
+        if (matched(result)) {
+            return result;
+        }
+        const unversioned = { $and: [filter, { [this.versioning.field]: { $exists: false } }] };
+        return await write(unversioned, updates.upsert, options);
     }
 
     /**
-     * Create a Mongoose model from a schema
-     * @param {string} modelName - Model name
-     * @param {Object} schemaDefinition - Schema definition
-     * @param {Object} options - Schema options
-     * @returns {Model} Mongoose model
+     * Validate a Mongoose document, converting failures into a ValidationError
+     * @param {Document} document - Mongoose document
+     * @param {Array<string>} paths - Paths to validate (all when omitted)
+     * @returns {Promise<Object>} Plain, cast document data
      */
-    createModel(modelName, schemaDefinition, options = {}) {
-        if (this.models.has(modelName)) {
-            return this.models.get(modelName);
+    async _validate(document, paths) {
+        try {
+            await document.validate(paths);
+        } catch (error) {
+            if (error instanceof mongoose.Error.ValidationError) {
+                throw ValidationError.fromMongoose(error, this.collectionName);
+            }
+            throw error;
         }
-        
-        const schema = new mongoose.Schema(schemaDefinition, options);
-        const model = mongoose.model(modelName, schema);
-        this.models.set(modelName, model);
-        
-        return model;
+        return document.toObject({ depopulate: true, flattenMaps: true, getters: false, virtuals: false, transform: false });
     }
 
     /**
-     * Get a Mongoose model
-     * @param {string} modelName - Model name
-     * @returns {Model|null} Mongoose model or null if not found
+     * Normalize or generate the ID of a new document, then validate and cast it against the
+     * bound schema, applying defaults
+     * @param {Object} data - Document data
+     * @returns {Promise<Object>} Data to insert
      */
-    getModel(modelName) {
-        return this.models.get(modelName) || null;
+    async _prepareDocument(data) {
+        if (data._id !== undefined) {
+            data = { ...data, _id: this.parseId(data._id) };
+        } else if (this.idStrategy.generate) {
+            data = { ...data, _id: this.idStrategy.generate() };
+        } else if (this.idStrategy.name !== 'objectId') {
+            throw new InvalidIdError(
+                undefined,
+                this.idStrategy.name,
+                `documents created in "${this.collectionName}" need an _id, as this strategy does not generate them`
+            );
+        }
+        const Model = this.getModel();
+        if (!Model) {
+            return data;
+        }
+        if (this.idStrategy.name === 'objectId') {
+            return await this._validate(new Model(data));
+        }
+        // The schema would cast _id to its own (ObjectId) type, so validate the other fields
+        // and keep the ID produced by the strategy
+        const { _id, ...fields } = data;
+        const { _id: schemaId, ...validated } = await this._validate(new Model(fields));
+        return { _id, ...validated };
     }
 
     /**
-     * Insert a single document
-     * @param {string} collectionName - Collection name
-     * @param {Object} data - Document to insert
-     * @returns {Promise<Object>} Insert result
+     * Convert a value into a document ID using the repository's id strategy
+     * @param {*} value - ID, or its string form
+     * @returns {*} Document ID as stored
+     * @throws {InvalidIdError} When the value is not a valid ID
      */
-    async insertOne(collectionName, data) {
-        const collection = await this.getCollection(collectionName);
-        return await collection.insertOne(data);
+    parseId(value) {
+        const { name, expected, parse } = this.idStrategy;
+        let id;
+        try {
+            id = parse(value);
+        } catch (error) {
+            if (error instanceof InvalidIdError) {
+                throw error;
+            }
+            throw new InvalidIdError(value, name, error.message);
+        }
+        if (id === undefined || id === null) {
+            throw new InvalidIdError(value, name, expected && `expected ${expected}`);
+        }
+        return id;
     }
 
     /**
-     * Insert multiple documents
-     * @param {string} collectionName - Collection name
-     * @param {Array} data - Documents to insert
-     * @returns {Promise<Object>} Insert result
+     * Validate and cast the fields of an update against the bound schema.
+     * Only the fields being set are validated and no defaults are applied; fields a strict
+     * schema drops are left out of the update, as they are on create.
+     * @param {Object} data - Fields to set
+     * @returns {Promise<Object>} Cast fields to set
      */
-    async insertMany(collectionName, data) {
-        const collection = await this.getCollection(collectionName);
-        return await collection.insertMany(data);
+    async _prepareUpdate(data) {
+        const Model = this.getModel();
+        if (!Model) {
+            return data;
+        }
+        const paths = Object.keys(data);
+        const casted = await this._validate(new Model(data, null, { defaults: false }), paths);
+        return Object.fromEntries(paths.filter(path => hasPath(casted, path)).map(path => [path, getPath(casted, path)]));
     }
 
     /**
-     * Find a single document
-     * @param {string} collectionName - Collection name
-     * @param {Object} query - Query filter
-     * @param {Object} options - Query options
-     * @returns {Promise<Object>} Found document or null
+     * Start a bulk write against the collection
+     * @returns {BulkWriteBuilder} Builder collecting the writes until execute() is called
      */
-    async findOne(collectionName, query, options = {}) {
-        const collection = await this.getCollection(collectionName);
-        return await collection.findOne(query, options);
+    bulk() {
+        this._assertBulkAllowed();
+        return new BulkWriteBuilder(this);
     }
 
     /**
-     * Find multiple documents
-     * @param {string} collectionName - Collection name
-     * @param {Object} query - Query filter
-     * @param {Object} options - Query options
-     * @returns {Promise<Array>} Array of documents
+     * Throw when bulk writes would bypass auditing or write hooks
      */
-    async find(collectionName, query = {}, options = {}) {
-        const collection = await this.getCollection(collectionName);
-        return await collection.find(query, options).toArray();
+    _assertBulkAllowed() {
+        if (this.audit) {
+            throw new Error(`bulk() is not available on repository "${this.collectionName}" because it audits writes`);
+        }
+        const hooked = ['create', 'update', 'delete'].filter(operation =>
+            this.hooks.before[operation].length || this.hooks.after[operation].length
+        );
+        if (hooked.length) {
+            throw new Error(
+                `bulk() is not available on repository "${this.collectionName}" because it has ${hooked.join(', ')} hooks`
+            );
+        }
     }
 
     /**
-     * Update a single document
-     * @param {string} collectionName - Collection name
-     * @param {Object} filter - Filter criteria
-     * @param {Object} update - Update operations
-     * @param {Object} options - Update options
-     * @returns {Promise<Object>} Update result
+     * Convert a queued bulk step into a driver bulk write operation
+     * @param {Object} step - Step recorded by a BulkWriteBuilder
+     * @returns {Promise<Object>} Bulk write operation
      */
-    async updateOne(collectionName, filter, update, options = {}) {
-        const collection = await this.getCollection(collectionName);
-        return await collection.updateOne(filter, update, options);
+    async _bulkOperation(step) {
+        switch (step.type) {
+            case 'insert':
+                return { insertOne: { document: this._stampInsert(await this._prepareDocument(step.data)) } };
+            case 'updateOne':
+                if (step.options.upsert && this.versioning) {
+                    throw new TypeError(
+                        `Upserts cannot be queued on versioned repository "${this.collectionName}": ` +
+                        'a single bulk operation cannot both increment and initialize the version'
+                    );
+                }
+                return {
+                    updateOne: {
+                        filter: this._scope(step.criteria),
+                        update: this._stampUpdate(await this._buildUpdate(step.data), step.options),
+                        ...step.options
+                    }
+                };
+            case 'deleteOne':
+                if (this.softDelete) {
+                    return {
+                        updateOne: {
+                            filter: this._scope(step.criteria),
+                            update: this._stampUpdate({ $set: { [this.softDelete.field]: this.clock() } })
+                        }
+                    };
+                }
+                return { deleteOne: { filter: step.criteria } };
+            default:
+                throw new TypeError(`Unknown bulk operation "${step.type}"`);
+        }
+    }
+
+    /**
+     * Turn update data into an update document.
+     * Plain fields are validated and applied with $set; update operators are passed through
+     * as given, with only the fields of their $set validated.
+     * @param {Object} data - Fields to set, or update operators
+     * @returns {Promise<Object>} Update document
+     */
+    async _buildUpdate(data) {
+        if (!isOperatorUpdate(data)) {
+            return { $set: await this._prepareUpdate(data) };
+        }
+        if (!data.$set) {
+            return data;
+        }
+        return { ...data, $set: await this._prepareUpdate(data.$set) };
+    }
+
+    /**
+     * Build the filter matching a document ID
+     * @param {string|ObjectId} id - Document ID
+     * @returns {Object} ID filter
+     */
+    _idFilter(id) {
+        return { _id: this.parseId(id) };
+    }
+
+    /**
+     * Exclude soft-deleted documents from criteria when soft delete is enabled.
+     * Criteria that already mention the soft delete field are left untouched.
+     * @param {Object} criteria - Search criteria
+     * @returns {Object} Scoped criteria
+     */
+    _scope(criteria = {}) {
+        if (!this.softDelete || this.softDelete.field in criteria) {
+            return criteria;
+        }
+        return { ...criteria, [this.softDelete.field]: null };
+    }
+
+    /**
+     * Exclude soft-deleted documents from an aggregation pipeline
+     * @param {Array} pipeline - Aggregation pipeline
+     * @returns {Array} Scoped pipeline
+     */
+    _scopePipeline(pipeline) {
+        if (!this.softDelete) {
+            return pipeline;
+        }
+        return [{ $match: { [this.softDelete.field]: null } }, ...pipeline];
+    }
+
+    /**
+     * Create a document
+     * @param {Object} data - Document data
+     * @returns {Promise<Object>} Created document
+     */
+    async create(data) {
+        return await this._withHooks('create', { data }, async context => {
+            const document = this._stampInsert(await this._prepareDocument(context.data));
+            const result = await this.client.insertOne(this.collectionName, document);
+            await this._recordHistory('create', null, [
+                { id: result.insertedId, before: null, after: { _id: result.insertedId, ...document } }
+            ]);
+            return result;
+        });
+    }
+
+    /**
+     * Create multiple documents.
+     * Create hooks run once per document; the result seen by after hooks is that document's
+     * { acknowledged, insertedId }, while the overall insert result is returned.
+     * @param {Array} data - Document data array
+     * @returns {Promise<Object>} Insert result
+     */
+    async createMany(data) {
+        const contexts = data.map(item => ({ operation: 'create', data: item }));
+        for (const context of contexts) {
+            await this._runHooks('before', context);
+        }
+        const documents = await Promise.all(contexts.map(async context =>
+            this._stampInsert(await this._prepareDocument(context.data))
+        ));
+        const result = await this.client.insertMany(this.collectionName, documents);
+        await this._recordHistory('createMany', null, documents.map((document, i) => (
+            { id: result.insertedIds[i], before: null, after: { _id: result.insertedIds[i], ...document } }
+        )));
+        for (const [i, context] of contexts.entries()) {
+            context.result = { acknowledged: result.acknowledged, insertedId: result.insertedIds[i] };
+            await this._runHooks('after', context);
+        }
+        return result;
     }
 
     /**
-     * Update multiple documents
-     * @param {string} collectionName - Collection name
-     * @param {Object} filter - Filter criteria
-     * @param {Object} update - Update operations
-     * @param {Object} options - Update options
-     * @returns {Promise<Object>} Update result
+     * Find a document by ID
+     * @param {string|ObjectId} id - Document ID
+     * @returns {Promise<Object>} Found document or null
      */
-    async updateMany(collectionName, filter, update, options = {}) {
-        const collection = await this.getCollection(collectionName);
-        return await collection.updateMany(filter, update, options);
+    async findById(id) {
+        return await this.findOne(this._idFilter(id));
     }
 
     /**
-     * Delete a single document
-     * @param {string} collectionName - Collection name
-     * @param {Object} filter - Filter criteria
-     * @param {Object} options - Delete options
-     * @returns {Promise<Object>} Delete result
+     * Find a document by ID, failing when it does not exist
+     * @param {string|ObjectId} id - Document ID
+     * @returns {Promise<Object>} Found document
+     * @throws {NotFoundError} When no document has this ID
      */
-    async deleteOne(collectionName, filter, options = {}) {
-        const collection = await this.getCollection(collectionName);
-        return await collection.deleteOne(filter, options);
+    async findByIdOrFail(id) {
+        return await this.findOneOrFail(this._idFilter(id));
     }
 
     /**
-     * Delete multiple documents
-     * @param {string} collectionName - Collection name
-     * @param {Object} filter - Filter criteria
-     * @param {Object} options - Delete options
-     * @returns {Promise<Object>} Delete result
+     * Find documents by ID, in the order the IDs are given
+     * @param {Array} ids - Document IDs
+     * @param {Object} options - Query options, such as projection
+     * @returns {Promise<Array>} Documents, with null for each ID that was not found
      */
-    async deleteMany(collectionName, filter, options = {}) {
-        const collection = await this.getCollection(collectionName);
-        return await collection.deleteMany(filter, options);
+    async findByIds(ids, options = {}) {
+        const parsed = ids.map(id => this.parseId(id));
+        if (!parsed.length) {
+            return [];
+        }
+        const documents = await this.find({ _id: { $in: parsed } }, options);
+        const byId = new Map(documents.map(document => [idKey(document._id), document]));
+        return parsed.map(id => byId.get(idKey(id)) || null);
     }
 
     /**
-     * Count documents in a collection
-     * @param {string} collectionName - Collection name
-     * @param {Object} filter - Filter criteria
-     * @param {Object} options - Count options
-     * @returns {Promise<number>} Document count
+     * Find a document by criteria
+     * @param {Object} criteria - Search criteria
+     * @param {Object} options - Query options, such as projection and sort
+     * @returns {Promise<Object>} Found document or null
      */
-    async countDocuments(collectionName, filter = {}, options = {}) {
-        const collection = await this.getCollection(collectionName);
-        return await collection.countDocuments(filter, options);
+    async findOne(criteria, options = {}) {
+        return await this._withHooks('find', { method: 'findOne', filter: criteria, options }, async context =>
+            await this.client.findOne(this.collectionName, this._scope(context.filter), context.options)
+        );
     }
 
     /**
-     * Perform an aggregation pipeline
-     * @param {string} collectionName - Collection name
-     * @param {Array} pipeline - Aggregation pipeline
-     * @param {Object} options - Aggregation options
-     * @returns {Promise<Array>} Aggregation results
+     * Find a document by criteria, failing when none matches
+     * @param {Object} criteria - Search criteria
+     * @param {Object} options - Query options, such as projection and sort
+     * @returns {Promise<Object>} Found document
+     * @throws {NotFoundError} When no document matches
      */
-    async aggregate(collectionName, pipeline, options = {}) {
-        const collection = await this.getCollection(collectionName);
-        return await collection.aggregate(pipeline, options).toArray();
-    }
-}
-
-/**
- * Schema Builder class
- * Provides helper methods for creating MongoDB schemas
- */
-class SchemaBuilder {
-    constructor() {
-        this.schemaDefinition = {};
-        this.schemaOptions = {
-            timestamps: true,
-            versionKey: false
-        };
+    async findOneOrFail(criteria, options = {}) {
+        const document = await this.findOne(criteria, options);
+        if (!document) {
+            throw new NotFoundError(this.collectionName, criteria);
+        }
+        return document;
     }
 
     /**
-     * Add a string field to the schema
-     * @param {string} fieldName - Field name
-     * @param {Object} options - Field options
-     * @returns {SchemaBuilder} This instance for chaining
+     * Start a fluent query, e.g. repository.query().where('age').gte(18).sort('-createdAt').limit(10).exec()
+     * @param {Object} criteria - Initial criteria
+     * @returns {QueryBuilder} Query builder
      */
-    addString(fieldName, options = {}) {
-        this.schemaDefinition[fieldName] = { type: String, ...options };
-        return this;
+    query(criteria = {}) {
+        return new QueryBuilder(this, criteria);
     }
 
     /**
-     * Add a number field to the schema
-     * @param {string} fieldName - Field name
-     * @param {Object} options - Field options
-     * @returns {SchemaBuilder} This instance for chaining
+     * Find documents by criteria
+     * @param {Object} criteria - Search criteria
+     * @param {Object} options - Query options
+     * @returns {Promise<Array>} Found documents
      */
-    addNumber(fieldName, options = {}) {
-        this.schemaDefinition[fieldName] = { type: Number, ...options };
-        return this;
+    async find(criteria = {}, options = {}) {
+        return await this._withHooks('find', { method: 'find', filter: criteria, options }, async context =>
+            await this.client.find(this.collectionName, this._scope(context.filter), context.options)
+        );
     }
 
     /**
-     * Add a boolean field to the schema
-     * @param {string} fieldName - Field name
-     * @param {Object} options - Field options
-     * @returns {SchemaBuilder} This instance for chaining
+     * Find documents by criteria, including soft-deleted ones
+     * @param {Object} criteria - Search criteria
+     * @param {Object} options - Query options
+     * @returns {Promise<Array>} Found documents
      */
-    addBoolean(fieldName, options = {}) {
-        this.schemaDefinition[fieldName] = { type: Boolean, ...options };
-        return this;
+    async findWithDeleted(criteria = {}, options = {}) {
+        return await this._withHooks('find', { method: 'findWithDeleted', filter: criteria, options }, async context =>
+            await this.client.find(this.collectionName, context.filter, context.options)
+        );
     }
 
     /**
-     * Add a date field to the schema
-     * @param {string} fieldName - Field name
-     * @param {Object} options - Field options
-     * @returns {SchemaBuilder} This instance for chaining
+     * Find soft-deleted documents only
+     * @param {Object} criteria - Search criteria
+     * @param {Object} options - Query options
+     * @returns {Promise<Array>} Found documents
      */
-    addDate(fieldName, options = {}) {
-        this.schemaDefinition[fieldName] = { type: Date, ...options };
-        return this;
+    async findOnlyDeleted(criteria = {}, options = {}) {
+        if (!this.softDelete) {
+            return [];
+        }
+        return await this._withHooks('find', { method: 'findOnlyDeleted', filter: criteria, options }, async context =>
+            await this.client.find(
+                this.collectionName,
+                { ...context.filter, [this.softDelete.field]: { $ne: null } },
+                context.options
+            )
+        );
     }
 
     /**
-     * Add an object ID field to the schema
-     * @param {string} fieldName - Field name
-     * @param {Object} options - Field options
-     * @returns {SchemaBuilder} This instance for chaining
+     * Find one page of documents.
+     * Offset mode (`page`, `pageSize`) returns { items, total, page, pageSize, pageCount, hasNext, hasPrevious }.
+     * Keyset mode (`limit`, `after`) returns { items, nextCursor, hasNext }, where nextCursor is an
+     * opaque base64 string encoding the sort key and _id of the last item; pass it back as `after`.
+     * Keyset pagination stays fast on deep pages but requires the sort fields to be present on every document.
+     * @param {Object} criteria - Search criteria
+     * @param {Object} options - Pagination options
+     * @param {number} options.page - Page number, starting at 1 (offset mode)
+     * @param {number} options.pageSize - Documents per page (offset mode)
+     * @param {number} options.limit - Documents per page (keyset mode)
+     * @param {string} options.after - Cursor returned by the previous page (keyset mode)
+     * @param {Object|string} options.sort - Sort specification, e.g. { createdAt: -1 } or '-createdAt'
+     * @returns {Promise<Object>} Page of documents
      */
-    addObjectId(fieldName, options = {}) {
-        this.schemaDefinition[fieldName] = { type: mongoose.Schema.Types.ObjectId, ...options };
-        return this;
+    async paginate(criteria = {}, options = {}) {
+        const { page, pageSize, limit, after, sort, ...findOptions } = options;
+        if (limit !== undefined || after !== undefined) {
+            return await this._paginateByCursor(criteria, { limit, after, sort, findOptions });
+        }
+
+        const pageNumber = page === undefined ? 1 : page;
+        const size = pageSize === undefined ? DEFAULT_PAGE_SIZE : pageSize;
+        assertPositiveInteger(pageNumber, 'page');
+        assertPositiveInteger(size, 'pageSize');
+
+        const [items, total] = await Promise.all([
+            this.find(criteria, {
+                ...findOptions,
+                sort: sort === undefined ? sort : Object.fromEntries(normalizeSort(sort)),
+                skip: (pageNumber - 1) * size,
+                limit: size
+            }),
+            this.count(criteria)
+        ]);
+        const pageCount = Math.ceil(total / size);
+
+        return {
+            items,
+            total,
+            page: pageNumber,
+            pageSize: size,
+            pageCount,
+            hasNext: pageNumber < pageCount,
+            hasPrevious: pageNumber > 1
+        };
     }
 
     /**
-     * Add an array field to the schema
-     * @param {string} fieldName - Field name
-     * @param {Object|Array} type - Array type definition
-     * @param {Object} options - Field options
-     * @returns {SchemaBuilder} This instance for chaining
+     * Find one page of documents using keyset pagination
+     * @param {Object} criteria - Search criteria
+     * @param {Object} pagination - limit, after, sort and remaining find options
+     * @returns {Promise<Object>} Page of documents with the cursor for the next page
      */
-    addArray(fieldName, type, options = {}) {
-        this.schemaDefinition[fieldName] = [{ type, ...options }];
-        return this;
+    async _paginateByCursor(criteria, { limit = DEFAULT_PAGE_SIZE, after, sort, findOptions }) {
+        assertPositiveInteger(limit, 'limit');
+        const sortKeys = normalizeSort(sort);
+        if (!sortKeys.some(([field]) => field === '_id')) {
+            const lastDirection = sortKeys.length ? sortKeys[sortKeys.length - 1][1] : 1;
+            sortKeys.push(['_id', lastDirection]);
+        }
+
+        let filter = criteria;
+        if (after !== undefined && after !== null) {
+            const cursorFilter = buildKeysetFilter(sortKeys, decodeCursor(after, sortKeys));
+            filter = Object.keys(criteria).length ? { $and: [criteria, cursorFilter] } : cursorFilter;
+        }
+
+        const documents = await this.find(filter, {
+            ...findOptions,
+            sort: Object.fromEntries(sortKeys),
+            limit: limit + 1
+        });
+        const hasNext = documents.length > limit;
+        const items = hasNext ? documents.slice(0, limit) : documents;
+
+        return {
+            items,
+            nextCursor: hasNext ? encodeCursor(sortKeys, items[items.length - 1]) : null,
+            hasNext
+        };
     }
 
     /**
-     * Add a nested object field to the schema
-     * @param {string} fieldName - Field name
-     * @param {Object} schema - Nested schema definition
-     * @param {Object} options - Field options
-     * @returns {SchemaBuilder} This instance for chaining
+     * Update a document by ID.
+     * With versioning enabled, pass expectedVersion to only update the document if it is still at that
+     * version; a ConcurrencyError is thrown when it is not.
+     * @param {string|ObjectId} id - Document ID
+     * @param {Object} data - Fields to set, or update operators such as { $inc: { views: 1 } }
+     * @param {Object} options - Update options, such as upsert, plus expectedVersion
+     * @returns {Promise<Object>} Update result
      */
-    addObject(fieldName, schema, options = {}) {
-        this.schemaDefinition[fieldName] = { type: schema, ...options };
-        return this;
+    async updateById(id, data, options = {}) {
+        return await this._withHooks('update', { filter: this._idFilter(id), data, options }, async context => {
+            const { expectedVersion, ...updateOptions } = context.options;
+            const updates = this._stampUpdates(await this._buildUpdate(context.data), updateOptions);
+            const filter = this._versionFilter(context.filter, expectedVersion);
+            const result = await this._auditWrite('updateById', filter, true, async () =>
+                await this._writeUpdate(filter, updates, updateOptions, (target, update, options) =>
+                    this.client.updateOne(this.collectionName, target, update, options), written => written.matchedCount > 0)
+            );
+            if (expectedVersion !== undefined && result.matchedCount === 0) {
+                await this._assertVersion(context.filter, expectedVersion);
+            }
+            return result;
+        });
     }
 
     /**
-     * Add timestamps (createdAt, updatedAt) to the schema
-     * @param {boolean} value - Whether to include timestamps
-     * @returns {SchemaBuilder} This instance for chaining
+     * Restrict a filter to documents at the expected version
+     * @param {Object} filter - Filter
+     * @param {number} expectedVersion - Expected version, or undefined for none
+     * @returns {Object} Filter including the version condition
      */
-    withTimestamps(value = true) {
-        this.schemaOptions.timestamps = value;
-        return this;
+    _versionFilter(filter, expectedVersion) {
+        if (expectedVersion === undefined) {
+            return filter;
+        }
+        if (!this.versioning) {
+            throw new Error(`expectedVersion requires versioning to be enabled on repository "${this.collectionName}"`);
+        }
+        return { ...filter, [this.versioning.field]: expectedVersion };
     }
 
     /**
-     * Set schema options
-     * @param {Object} options - Schema options
-     * @returns {SchemaBuilder} This instance for chaining
+     * Throw a ConcurrencyError when the document matching a filter exists at another version
+     * @param {Object} filter - Filter without the version condition
+     * @param {number} expectedVersion - Expected version
+     * @returns {Promise<void>}
      */
-    withOptions(options) {
-        this.schemaOptions = { ...this.schemaOptions, ...options };
-        return this;
+    async _assertVersion(filter, expectedVersion) {
+        const { field } = this.versioning;
+        const current = await this.client.findOne(this.collectionName, filter, { projection: { [field]: 1 } });
+        if (current) {
+            throw new ConcurrencyError(this.collectionName, current._id, expectedVersion, current[field]);
+        }
     }
 
     /**
-     * Build the schema
-     * @returns {Object} Schema definition and options
+     * Update documents by criteria
+     * @param {Object} criteria - Search criteria
+     * @param {Object} data - Fields to set, or update operators such as { $push: { tags: 'new' } }
+     * @param {Object} options - Update options, such as upsert
+     * @returns {Promise<Object>} Update result
      */
-    build() {
-        return {
-            definition: this.schemaDefinition,
-            options: this.schemaOptions
-        };
+    async update(criteria, data, options = {}) {
+        return await this._withHooks('update', { filter: criteria, data, options }, async context => {
+            const updates = this._stampUpdates(await this._buildUpdate(context.data), context.options);
+            const { upsert, ...batchOptions } = context.options;
+            return await this._auditWrite('update', context.filter, false, async (filter, batched) =>
+                // A batch only targets documents that matched, so it never upserts
+                await this._writeUpdate(filter, updates, batched ? batchOptions : context.options, (target, update, options) =>
+                    this.client.updateMany(this.collectionName, target, update, options), written => written.matchedCount > 0)
+            );
+        });
     }
 
     /**
-     * Create a Mongoose model from the schema
-     * @param {string} modelName - Model name
-     * @param {MongoClient} client - MongoDB client instance
-     * @returns {Model} Mongoose model
+     * Update a document by ID and return it
+     * @param {string|ObjectId} id - Document ID
+     * @param {Object} data - Fields to set, or update operators
+     * @param {Object} options - Options such as upsert and projection, plus expectedVersion
+     * @param {string} options.returnDocument - 'after' (default) for the updated document, 'before' for the original
+     * @returns {Promise<Object|null>} Document, or null when none matched
      */
-    createModel(modelName, client) {
-        const { definition, options } = this.build();
-        return client.createModel(modelName, definition, options);
+    async findByIdAndUpdate(id, data, options = {}) {
+        return await this._withHooks('update', { filter: this._idFilter(id), data, options }, async context => {
+            const { expectedVersion, returnDocument = 'after', ...updateOptions } = context.options;
+            const updates = this._stampUpdates(await this._buildUpdate(context.data), updateOptions);
+            const filter = this._versionFilter(context.filter, expectedVersion);
+            const document = await this._auditWrite('findByIdAndUpdate', filter, true, async () =>
+                await this._writeUpdate(filter, updates, { ...updateOptions, returnDocument }, (target, update, options) =>
+                    this.client.findOneAndUpdate(this.collectionName, target, update, options), written => written !== null)
+            );
+            if (expectedVersion !== undefined && document === null) {
+                await this._assertVersion(context.filter, expectedVersion);
+            }
+            return document;
+        });
     }
-}
 
-/**
- * Repository class
- * Provides a higher-level interface for working with a specific collection
- */
-class Repository {
     /**
-     * Create a new repository
-     * @param {MongoClient} client - MongoDB client instance
-     * @param {string} collectionName - Collection name
+     * Atomically increment a numeric field
+     * @param {string|ObjectId} id - Document ID
+     * @param {string} field - Field to increment
+     * @param {number} by - Amount to add, negative to decrement
+     * @returns {Promise<Object|null>} Updated document, or null when not found
      */
-    constructor(client, collectionName) {
-        this.client = client;
-        this.collectionName = collectionName;
+    async increment(id, field, by = 1) {
+        return await this.findByIdAndUpdate(id, { $inc: { [field]: by } });
     }
 
     /**
-     * Create a document
-     * @param {Object} data - Document data
-     * @returns {Promise<Object>} Created document
+     * Append values to an array field
+     * @param {string|ObjectId} id - Document ID
+     * @param {string} field - Array field
+     * @param {...*} values - Values to append
+     * @returns {Promise<Object|null>} Updated document, or null when not found
      */
-    async create(data) {
-        return await this.client.insertOne(this.collectionName, data);
+    async push(id, field, ...values) {
+        return await this.findByIdAndUpdate(id, { $push: { [field]: { $each: values } } });
     }
 
     /**
-     * Create multiple documents
-     * @param {Array} data - Document data array
-     * @returns {Promise<Object>} Insert result
+     * Remove the elements of an array field equal to a value or matching a condition
+     * @param {string|ObjectId} id - Document ID
+     * @param {string} field - Array field
+     * @param {*} condition - Value, or query condition such as { $lt: 5 }
+     * @returns {Promise<Object|null>} Updated document, or null when not found
      */
-    async createMany(data) {
-        return await this.client.insertMany(this.collectionName, data);
+    async pull(id, field, condition) {
+        return await this.findByIdAndUpdate(id, { $pull: { [field]: condition } });
     }
 
     /**
-     * Find a document by ID
+     * Delete a document by ID.
+     * With soft delete enabled the document is only marked as deleted.
      * @param {string|ObjectId} id - Document ID
-     * @returns {Promise<Object>} Found document or null
+     * @returns {Promise<Object>} Delete result
      */
-    async findById(id) {
-        const objectId = typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id;
-        return await this.client.findOne(this.collectionName, { _id: objectId });
+    async deleteById(id) {
+        return await this._withHooks('delete', { filter: this._idFilter(id) }, async context =>
+            await this._auditWrite('deleteById', context.filter, true, async () => {
+                if (this.softDelete) {
+                    return await this._markDeleted('updateOne', context.filter);
+                }
+                return await this.client.deleteOne(this.collectionName, context.filter);
+            })
+        );
     }
 
     /**
-     * Find a document by criteria
+     * Delete documents by criteria.
+     * With soft delete enabled the documents are only marked as deleted.
      * @param {Object} criteria - Search criteria
-     * @returns {Promise<Object>} Found document or null
+     * @returns {Promise<Object>} Delete result
      */
-    async findOne(criteria) {
-        return await this.client.findOne(this.collectionName, criteria);
+    async delete(criteria) {
+        return await this._withHooks('delete', { filter: criteria }, async context =>
+            await this._auditWrite('delete', context.filter, false, async filter => {
+                if (this.softDelete) {
+                    return await this._markDeleted('updateMany', filter);
+                }
+                return await this.client.deleteMany(this.collectionName, filter);
+            })
+        );
     }
 
     /**
-     * Find documents by criteria
+     * Mark matching documents as deleted
+     * @param {string} method - Client update method (updateOne or updateMany)
      * @param {Object} criteria - Search criteria
-     * @param {Object} options - Query options
-     * @returns {Promise<Array>} Found documents
+     * @returns {Promise<Object>} Delete result with the number of documents marked
      */
-    async find(criteria = {}, options = {}) {
-        return await this.client.find(this.collectionName, criteria, options);
+    async _markDeleted(method, criteria) {
+        const result = await this.client[method](
+            this.collectionName,
+            this._scope(criteria),
+            this._stampUpdate({ $set: { [this.softDelete.field]: this.clock() } })
+        );
+        return { acknowledged: result.acknowledged, deletedCount: result.modifiedCount };
     }
 
     /**
-     * Update a document by ID
+     * Restore a soft-deleted document
      * @param {string|ObjectId} id - Document ID
-     * @param {Object} data - Update data
      * @returns {Promise<Object>} Update result
      */
-    async updateById(id, data) {
-        const objectId = typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id;
-        return await this.client.updateOne(
-            this.collectionName, 
-            { _id: objectId }, 
-            { $set: { ...data, updatedAt: new Date() } }
+    async restore(id) {
+        if (!this.softDelete) {
+            throw new Error(`restore() requires soft delete to be enabled on repository "${this.collectionName}"`);
+        }
+        const { field } = this.softDelete;
+        const filter = { ...this._idFilter(id), [field]: { $ne: null } };
+        return await this._auditWrite('restore', filter, true, async () =>
+            await this.client.updateOne(this.collectionName, filter, this._stampUpdate({ $unset: { [field]: '' } }))
         );
     }
 
     /**
-     * Update documents by criteria
+     * Permanently remove documents, including soft-deleted ones
      * @param {Object} criteria - Search criteria
-     * @param {Object} data - Update data
-     * @returns {Promise<Object>} Update result
+     * @returns {Promise<Object>} Delete result
      */
-    async update(criteria, data) {
-        return await this.client.updateMany(
-            this.collectionName, 
-            criteria, 
-            { $set: { ...data, updatedAt: new Date() } }
+    async purge(criteria) {
+        return await this._auditWrite('purge', criteria, false, async filter =>
+            await this.client.deleteMany(this.collectionName, filter)
         );
     }
 
     /**
-     * Delete a document by ID
-     * @param {string|ObjectId} id - Document ID
-     * @returns {Promise<Object>} Delete result
+     * Run a write, recording the documents it changed when auditing is enabled.
+     * Matching documents are read before and after the write. Multi-document writes run in
+     * batches of `audit.batchSize` documents, taken in _id order, so only one batch of snapshots
+     * is held in memory; each batch is written with the filter narrowed to its _ids.
+     * Within a transaction the reads, writes and history entries are part of it. Outside one,
+     * the snapshots and the write are not atomic: a concurrent writer may change a document in
+     * between, which the entry then attributes to this write, and documents that start matching
+     * after their batch was read are left untouched.
+     * @param {string} operation - Repository method name
+     * @param {Object} filter - Filter of the write
+     * @param {boolean} single - Whether the write affects one document at most
+     * @param {Function} write - Receives the filter to write with, and for a batch its _ids, and resolves to the result
+     * @returns {Promise<Object>} Write result, with counts summed over the batches
      */
-    async deleteById(id) {
-        const objectId = typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id;
-        return await this.client.deleteOne(this.collectionName, { _id: objectId });
+    async _auditWrite(operation, filter, single, write) {
+        if (!this.audit) {
+            return await write(filter);
+        }
+        if (single) {
+            const before = await this.client.find(this.collectionName, filter, { limit: 1 });
+            return await this._recordWrite(operation, filter, true, before, () => write(filter));
+        }
+
+        const { batchSize } = this.audit;
+        let total = null;
+        let lastId;
+        for (;;) {
+            const page = lastId === undefined ? filter : { $and: [filter, { _id: { $gt: lastId } }] };
+            const before = await this.client.find(this.collectionName, page, { sort: { _id: 1 }, limit: batchSize });
+            if (!before.length && total) {
+                return total;
+            }
+            const ids = before.map(document => document._id);
+            // When nothing matched at all, write once with the original filter, which may upsert
+            const result = await this._recordWrite(operation, filter, false, before, () => (ids.length
+                ? write({ $and: [filter, { _id: { $in: ids } }] }, ids)
+                : write(filter)));
+            total = mergeWriteResult(total, result);
+            if (before.length < batchSize) {
+                return total;
+            }
+            lastId = ids[ids.length - 1];
+        }
     }
 
     /**
-     * Delete documents by criteria
-     * @param {Object} criteria - Search criteria
-     * @returns {Promise<Object>} Delete result
+     * Perform a write and record the changes it made to the snapshotted documents
+     * @param {string} operation - Repository method name
+     * @param {Object} filter - Filter of the write, recorded with the entries
+     * @param {boolean} single - Whether the write affects one document at most
+     * @param {Array<Object>} before - Documents read before the write
+     * @param {Function} write - Performs the write and resolves to its result
+     * @returns {Promise<Object>} Write result
      */
-    async delete(criteria) {
-        return await this.client.deleteMany(this.collectionName, criteria);
+    async _recordWrite(operation, filter, single, before, write) {
+        const result = await write();
+
+        const ids = before.map(document => document._id);
+        if (result && result.upsertedId !== undefined && result.upsertedId !== null) {
+            ids.push(result.upsertedId);
+        } else if (single && !before.length) {
+            // Nothing matched before, so anything matching now was upserted by this write
+            const upserted = await this.client.find(this.collectionName, filter, { limit: 1, projection: { _id: 1 } });
+            ids.push(...upserted.map(document => document._id));
+        }
+        const after = ids.length ? await this.client.find(this.collectionName, { _id: { $in: ids } }) : [];
+        const byId = documents => new Map(documents.map(document => [idKey(document._id), document]));
+        const beforeById = byId(before);
+        const afterById = byId(after);
+
+        await this._recordHistory(operation, filter, ids.map(id => ({
+            id,
+            before: beforeById.get(idKey(id)) || null,
+            after: afterById.get(idKey(id)) || null
+        })));
+        return result;
+    }
+
+    /**
+     * Insert history entries for the documents that actually changed
+     * @param {string} operation - Repository method name
+     * @param {Object|null} filter - Filter of the write
+     * @param {Array<Object>} changes - Changes as { id, before, after }
+     * @returns {Promise<void>}
+     */
+    async _recordHistory(operation, filter, changes) {
+        if (!this.audit) {
+            return;
+        }
+        const changed = changes.filter(change => !isDeepStrictEqual(change.before, change.after));
+        if (!changed.length) {
+            return;
+        }
+        const { actor, diff } = this.audit;
+        const resolvedActor = typeof actor === 'function' ? await actor({ operation, filter }) : actor;
+        const timestamp = this.clock();
+        const entries = [];
+        for (const { id, before, after } of changed) {
+            const entry = { documentId: id, operation, actor: resolvedActor, timestamp, filter };
+            if (diff) {
+                entry.diff = diffDocuments(before, after);
+            } else {
+                entry.before = before;
+                entry.after = after;
+            }
+            entries.push(entry);
+        }
+        await this.client.insertMany(this.audit.collection, entries);
+    }
+
+    /**
+     * Read the change history of a document, oldest first
+     * @param {string|ObjectId} id - Document ID
+     * @param {Object} options - Query options
+     * @returns {Promise<Array>} History entries
+     */
+    async history(id, options = {}) {
+        if (!this.audit) {
+            throw new Error(`history() requires auditing to be enabled on repository "${this.collectionName}"`);
+        }
+        return await this.client.find(
+            this.audit.collection,
+            { documentId: this._idFilter(id)._id },
+            { sort: { timestamp: 1, _id: 1 }, ...options }
+        );
     }
 
     /**
      * Count documents by criteria
      * @param {Object} criteria - Search criteria
+     * @param {Object} options - Count options, such as hint and collation
      * @returns {Promise<number>} Document count
      */
-    async count(criteria = {}) {
-        return await this.client.countDocuments(this.collectionName, criteria);
+    async count(criteria = {}, options = {}) {
+        const context = await this._beforeRead('count', { filter: criteria, options });
+        return await this.client.countDocuments(this.collectionName, this._scope(context.filter), context.options);
     }
 
     /**
@@ -535,14 +4794,54 @@ class Repository {
      * @returns {Promise<Array>} Aggregation results
      */
     async aggregate(pipeline) {
-        return await this.client.aggregate(this.collectionName, pipeline);
+        const context = await this._beforeRead('aggregate', { filter: {}, pipeline });
+        return await this.client.aggregate(this.collectionName, this._readPipeline(context));
+    }
+
+    /**
+     * Iterate over the documents matching the criteria without loading them all into memory
+     * @param {Object} criteria - Search criteria
+     * @param {Object} options - Query options, plus batchSize and onBatch
+     * @returns {Readable} Object mode stream usable with `for await`
+     */
+    iterate(criteria = {}, options = {}) {
+        return this._streamRead('iterate', { filter: criteria, options }, context =>
+            this.client.stream(this.collectionName, this._scope(context.filter), context.options)
+        );
+    }
+
+    /**
+     * Stream the results of an aggregation pipeline
+     * @param {Array} pipeline - Aggregation pipeline
+     * @param {Object} options - Aggregation options, plus batchSize and onBatch
+     * @returns {Readable} Object mode stream usable with `for await`
+     */
+    aggregateStream(pipeline, options = {}) {
+        return this._streamRead('aggregateStream', { filter: {}, pipeline, options }, context =>
+            this.client.aggregateStream(this.collectionName, this._readPipeline(context), context.options)
+        );
     }
 }
 
 // Export the classes
 module.exports = {
+    consoleLogger,
+    silentLogger,
+    retryOnConflict,
+    MongoBuddyError,
+    ValidationError,
+    ConcurrencyError,
+    InvalidIdError,
+    DuplicateKeyError,
+    NotFoundError,
+    ConnectionError,
+    TimeoutError,
+    WriteConflictError,
     MongoConfiguration,
     MongoClient,
+    Transaction,
     SchemaBuilder,
-    Repository
+    Repository,
+    BulkWriteBuilder,
+    QueryBuilder
 };